@@ -9,11 +9,65 @@
  */
 
 //#region <BATCH UTILS DEFINITIONS> 
+/**
+ * Validation rules for one attribute of `writeAttributes`.
+ * @typedef {Object} AttributeRule
+ * @property {string} [type] - "number", "string", "boolean", "array", "object", "vec2", "vec3", "vec4", "quat",
+ * or a Lens Studio type checked with `isOfType`, such as "Asset.Texture" or "Component.Text".
+ * @property {any} [default] - Used when the attribute is missing or has the wrong type.
+ * @property {number} [min] - Lower bound numbers are clamped to.
+ * @property {number} [max] - Upper bound numbers are clamped to.
+ * @property {any[]} [enum] - The only values allowed.
+ * @property {(newValue: any, oldValue: any) => void} [onChange] - Called after the value changes.
+ */
+
+/**
+ * Checks a value against an attribute rule, clamping numbers into range.
+ * @private
+ * @param {string} name - The attribute name, for messages.
+ * @param {any} value
+ * @param {AttributeRule} rule
+ * @returns {{ valid: boolean, value: any }}
+ */
+function validateAttribute(name, value, rule) {
+    const type = rule.type;
+    let valid = true;
+
+    if (type === "array") valid = Array.isArray(value);
+    else if (["number", "string", "boolean", "object"].includes(type)) valid = typeof value === type && value !== null;
+    else if (["vec2", "vec3", "vec4", "quat"].includes(type)) valid = mathTypeName(value) === type;
+    else if (type) valid = !!value && typeof value.isOfType === "function" && value.isOfType(type);
+
+    if (!valid) {
+        print(`Error: attribute "${name}" expects ${type}, got "${value}"`);
+        return {valid, value};
+    }
+
+    if (typeof value === "number") {
+        value = MathUtils.clamp(
+            value,
+            rule.min !== undefined ? rule.min : -Infinity,
+            rule.max !== undefined ? rule.max : Infinity);
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        print(`Error: attribute "${name}" must be one of ${rule.enum.join(", ")}, got "${value}"`);
+        return {valid: false, value};
+    }
+
+    return {valid, value};
+}
+
 /**
  * Writes attributes to the root object and defines getters and setters for them.
+ * With a schema, values are validated before they are stored: invalid values are logged and ignored,
+ * numbers are clamped to `min`/`max`, and `onChange` runs after each change.
+ *
  * @param {SceneObject | Object.<string, any>} root - The root object where attributes will be added.
  * @param {Object.<string, any>} attr - An object containing key-value pairs of attributes.
+ * @param {boolean} [readOnly=false] - If true, defines plain read-only values instead of getters and setters.
  * @param {Number} [slice=1] - The number of characters to remove from attribute keys before defining them -to remove prefixes.
+ * @param {Object.<string, AttributeRule>} [schema={}] - Rules keyed by the property name without prefix.
+ * Rules with a `default` whose attribute is missing from `attr` add it, using the prefix of the other keys.
  *
  * @example
  * const root = {};
@@ -34,12 +88,49 @@
  *
  * // List attribute keys
  * print(root.attrKeys); // ['speed', 'health']
+ *
+ * @example
+ * writeAttributes(root, script, false, 1, {
+ *   speed: { type: "number", default: 1, min: 0, max: 10 },
+ *   mode: { type: "string", enum: ["walk", "run"], onChange: (mode, old) => print(old + " -> " + mode) },
+ * });
+ * root.speed = 50;  // clamped to 10
+ * root.mode = "fly"; // logged and ignored
+ *
+ * // Every change, on any attribute
+ * const unsubscribe = root.onAttrChange((name, value, oldValue) => print(name + " changed"));
  */
-function writeAttributes(root, attr, readOnly = false, slice = 1) {
+function writeAttributes(root, attr, readOnly = false, slice = 1, schema = {}) {
+    const listeners = [];
+    // Refresh the copies of attributes without `onChange` once the first listener subscribes.
+    const snapshots = [];
+
+    const firstKey = Object.keys(attr)[0];
+    const prefix = firstKey !== undefined ? firstKey.slice(0, slice) : "_".repeat(slice);
+    const propNames = Object.keys(attr).map(k => k.slice(slice));
+    for (const propName in schema) {
+        if (!propNames.includes(propName) && "default" in schema[propName]) {
+            attr[prefix + propName] = undefined;
+        }
+    }
+
     for (const key in attr) {
         const propName = key.slice(slice);
         const descriptor = Object.getOwnPropertyDescriptor(root, propName);
+        const rule = schema[propName];
+
+        if (rule) {
+            const missing = attr[key] === undefined || attr[key] === null;
+            const checked = missing ? {valid: false} : validateAttribute(propName, attr[key], rule);
+            if (checked.valid) attr[key] = checked.value;
+            else if ("default" in rule) attr[key] = rule.default;
+        }
         
+        // Compared against a copy, so mutating the stored object and assigning it again still counts as a change.
+        // The copy is only kept while something tracks changes.
+        const onChange = rule && rule.onChange;
+        let previous = onChange ? deepClone(attr[key]) : undefined;
+
         if (!descriptor || descriptor.configurable) {
             if(readOnly){
                 Object.defineProperty(root, propName, {
@@ -48,12 +139,31 @@ function writeAttributes(root, attr, readOnly = false, slice = 1) {
                     enumerable: true,
                 })
             } else {                        
+                if (!onChange) snapshots.push(() => previous = deepClone(attr[key]));
+
                 Object.defineProperty(root, propName, {
                     get: function () {
                         return attr[key];
                     },
                     set: function (value) {
+                        if (rule) {
+                            const checked = validateAttribute(propName, value, rule);
+                            if (!checked.valid) return;
+                            value = checked.value;
+                        }
+
+                        if (!onChange && listeners.length === 0) {
+                            attr[key] = value;
+                            return;
+                        }
+
+                        const oldValue = previous;
                         attr[key] = value;
+                        previous = deepClone(value);
+                        if (deepEqual(value, oldValue)) return;
+
+                        if (onChange) onChange(value, oldValue);
+                        listeners.slice().forEach(listener => listener(propName, value, oldValue));
                     },
                     enumerable: true,
                 });
@@ -67,6 +177,22 @@ function writeAttributes(root, attr, readOnly = false, slice = 1) {
         },
         enumerable: true,
     });
+
+    Object.defineProperty(root, "onAttrChange", {
+        /**
+         * Subscribes to changes of every attribute.
+         * @param {(name: string, newValue: any, oldValue: any) => void} listener
+         * @returns {() => void} Removes the listener.
+         */
+        value: function(listener) {
+            if (listeners.length === 0) snapshots.forEach(snapshot => snapshot());
+            listeners.push(listener);
+            return () => {
+                const i = listeners.indexOf(listener);
+                if (i >= 0) listeners.splice(i, 1);
+            };
+        },
+    });
 }
 
 /**
@@ -108,13 +234,269 @@ function createSceneComponent(root, objectName, componentNames, override = false
     return components;
 }
 
+/**
+ * Describes a scene object for `buildScene`.
+ * @typedef {Object} SceneSpec
+ * @property {string} name - The object name; also its segment in handle paths.
+ * @property {boolean} [enabled=true] - Whether the object starts enabled.
+ * @property {{ position?: vec3, rotation?: quat | vec3, scale?: vec3 }} [transform] - Local transform.
+ * A vec3 rotation is read as Euler angles in degrees.
+ * @property {Array<ComponentNameKey | ComponentSpec>} [components=[]] - Components to create, in order.
+ * @property {SceneSpec[]} [children=[]] - Child objects.
+ */
+
+/**
+ * Describes a component for `buildScene`.
+ * @typedef {Object} ComponentSpec
+ * @property {ComponentNameKey} type - The component type, e.g. "Component.Text".
+ * @property {string} [name] - Key in handle paths. Defaults to the type without its "Component." or "Physics." prefix.
+ * @property {Object.<string, any>} [props={}] - Properties to assign. Plain objects are assigned into the existing
+ * value, so `{ textFill: { color } }` or `{ mainMaterial: { mainPass: { baseColor } } }` work.
+ */
+
+/**
+ * The result of `buildScene`.
+ * @typedef {Object} SceneHandle
+ * @property {SceneObject[]} roots - The top-level objects that were created.
+ * @property {Object.<string, SceneObject>} objects - Objects by path, e.g. "Panel/Title".
+ * @property {Object.<string, Component>} components - Components by path, e.g. "Panel/Title:Text".
+ * @property {(path: string) => SceneObject | Component | null} get - Looks up an object or component path.
+ * @property {() => void} destroy - Destroys every created object.
+ */
+
+/**
+ * Returns `path`, or `path[1]`, `path[2]`... if it is already taken in `map`.
+ * @private
+ * @param {Object.<string, any>} map
+ * @param {string} path
+ * @returns {string}
+ */
+function uniquePath(map, path) {
+    let result = path;
+    for (let i = 1; result in map; i++) {
+        result = `${path}[${i}]`;
+    }
+    return result;
+}
+
+/**
+ * Assigns properties onto a target, descending into plain-object values.
+ * @private
+ * @param {Object} target
+ * @param {Object.<string, any>} props
+ * @param {string} label - Where the properties go, for messages.
+ */
+function assignProps(target, props, label) {
+    for (const key in props) {
+        const value = props[key];
+        try {
+            if (isPlainObject(value) && target[key] !== null && typeof target[key] === "object") {
+                assignProps(target[key], value, `${label}.${key}`);
+            } else {
+                target[key] = value;
+            }
+        } catch (error) {
+            print(`Error: cannot set ${label}.${key}: ${error}`);
+        }
+    }
+}
+
+/**
+ * Creates one object of a `buildScene` spec with its components and children.
+ * @private
+ * @param {SceneObject | null} parent
+ * @param {SceneSpec} spec
+ * @param {string} parentPath
+ * @param {SceneHandle} handle
+ * @returns {SceneObject}
+ */
+function buildSceneObject(parent, spec, parentPath, handle) {
+    const obj = global.scene.createSceneObject(spec.name);
+    if (parent) obj.setParent(parent);
+
+    const path = uniquePath(handle.objects, parentPath ? `${parentPath}/${spec.name}` : spec.name);
+    handle.objects[path] = obj;
+
+    const transform = spec.transform || {};
+    if (transform.position) obj.getTransform().setLocalPosition(transform.position);
+    if (transform.rotation) {
+        const rotation = transform.rotation instanceof vec3
+            ? quat.fromEulerAngles(
+                transform.rotation.x * MathUtils.DegToRad,
+                transform.rotation.y * MathUtils.DegToRad,
+                transform.rotation.z * MathUtils.DegToRad)
+            : transform.rotation;
+        obj.getTransform().setLocalRotation(rotation);
+    }
+    if (transform.scale) obj.getTransform().setLocalScale(transform.scale);
+
+    for (const entry of spec.components || []) {
+        const componentSpec = typeof entry === "string" ? {type: entry} : entry;
+        const name = componentSpec.name || componentSpec.type.replace(/^(Component\.|Physics\.)/, "");
+        const componentPath = uniquePath(handle.components, `${path}:${name}`);
+
+        try {
+            const component = obj.createComponent(componentSpec.type);
+            handle.components[componentPath] = component;
+            assignProps(component, componentSpec.props || {}, componentPath);
+        } catch (error) {
+            print(`Error: cannot create ${componentSpec.type} on ${path}: ${error}`);
+        }
+    }
+
+    for (const child of spec.children || []) {
+        buildSceneObject(obj, child, path, handle);
+    }
+
+    if (spec.enabled === false) obj.enabled = false;
+
+    return obj;
+}
+
+/**
+ * Builds a whole subtree of scene objects from a declarative spec, like a prefab defined in code.
+ * Unlike `createSceneComponent`, it creates nested children and sets component properties,
+ * transforms and enabled state.
+ *
+ * @param {SceneObject | null} root - The parent of the new objects, or null for the scene root.
+ * @param {SceneSpec | SceneSpec[]} spec - One object spec, or several siblings.
+ * @returns {SceneHandle} Every created object and component by path, and a `destroy` for the whole subtree.
+ *
+ * @example
+ * const panel = buildScene(root, {
+ *   name: "Panel",
+ *   transform: { position: new vec3(0, 10, 0) },
+ *   components: ["Component.ScreenTransform"],
+ *   children: [
+ *     { name: "Title", components: [{ type: "Component.Text", props: { text: "Hello", textFill: { color: new vec4(1, 1, 1, 1) } } }] },
+ *     { name: "Icon", enabled: false, components: [{ type: "Component.Image", props: { mainMaterial: iconMaterial } }] },
+ *   ],
+ * });
+ *
+ * panel.components["Panel/Title:Text"].text = "Welcome";
+ * panel.get("Panel/Icon").enabled = true;
+ * panel.destroy();
+ */
+function buildScene(root, spec) {
+    let destroyed = false;
+
+    /** @type {SceneHandle} */
+    const handle = {
+        roots: [],
+        objects: {},
+        components: {},
+        get(path) {
+            return handle.objects[path] || handle.components[path] || null;
+        },
+        destroy() {
+            if (destroyed) return;
+            destroyed = true;
+            handle.roots.forEach(obj => obj.destroy());
+        },
+    };
+
+    for (const objectSpec of Array.isArray(spec) ? spec : [spec]) {
+        handle.roots.push(buildSceneObject(root, objectSpec, "", handle));
+    }
+
+    return handle;
+}
+
+/**
+ * The outcome of one callee in a `batchExecute` report.
+ * @typedef {Object} BatchEntry
+ * @property {number} index - The index of the callee.
+ * @property {Object} callee - The callee.
+ * @property {"ok" | "error" | "skipped"} status - "skipped" when the callee has no such method or was filtered out.
+ * @property {any} [value] - What the method returned (awaited, for `batchExecuteAsync`).
+ * @property {any} [error] - What the method threw or rejected with.
+ */
+
+/**
+ * The result of `batchExecute` and `batchExecuteAsync`.
+ * @typedef {Object} BatchReport
+ * @property {boolean} ok - True if no call failed.
+ * @property {boolean} stopped - True if `stopOnError` ended the batch early; later callees have no entry.
+ * @property {BatchEntry[]} entries - One entry per callee that was reached, in order.
+ * @property {any[]} values - Returned values by callee index; undefined for skipped and failed callees.
+ * @property {BatchEntry[]} errors - The failed entries.
+ */
+
+/**
+ * Options shared by `batchExecute` and `batchExecuteAsync`.
+ * @typedef {Object} BatchOptions
+ * @property {any[][] | ((callee: Object, index: number) => any[])} [args] - Arguments for each callee, as an array
+ * of argument lists by index or a function returning one. Replaces `property` when given.
+ * @property {(callee: Object, index: number) => boolean} [filter] - Callees it rejects are skipped.
+ * @property {boolean} [stopOnError=false] - Stop at the first error instead of continuing with the rest.
+ * An error thrown by `args` or `filter` counts as an error of that callee.
+ */
+
+/**
+ * Reads the first stack frame of an error, tolerating errors without a stack and thrown non-errors.
+ * @private
+ * @param {any} error
+ * @returns {string}
+ */
+function errorLocation(error) {
+    const stack = error && typeof error.stack === "string" ? error.stack.split("\n") : [];
+    return (stack[1] || "").trim() || "Unknown";
+}
+
+/**
+ * Logs a failed batch call in the `batchExecute` format.
+ * @private
+ * @param {any} error
+ * @param {number} index
+ * @param {string} funcName
+ */
+function printBatchError(error, index, funcName) {
+    print(`${error} on ${errorLocation(error)} at index ${index} in ${funcName}`);
+}
+
+/**
+ * Works out whether and how to call `funcName` on one callee.
+ * @private
+ * @param {string} funcName
+ * @param {Object} callee
+ * @param {number} index
+ * @param {*} property
+ * @param {BatchOptions} options
+ * @returns {any[] | null} The arguments, or null if the callee is skipped.
+ */
+function batchArguments(funcName, callee, index, property, {args, filter}) {
+    if (!callee || !callee[funcName]) return null;
+    if (filter && !filter(callee, index)) return null;
+
+    if (typeof args === "function") return args(callee, index) || [];
+    if (Array.isArray(args)) return args[index] || [];
+    return property !== null ? [property] : [];
+}
+
+/**
+ * Builds a report from the entries of a batch.
+ * @private
+ * @param {BatchEntry[]} entries
+ * @param {boolean} stopped
+ * @returns {BatchReport}
+ */
+function batchReport(entries, stopped) {
+    const errors = entries.filter(entry => entry.status === "error");
+    const values = [];
+    entries.forEach(entry => values[entry.index] = entry.value);
+    return {ok: errors.length === 0, stopped, entries, values, errors};
+}
+
 /**
  * Executes a specified function by name on each object in an array of callees.
- * Catches and logs any errors thrown by the called functions, including the stack location.
+ * Catches and logs any errors thrown by the called functions, including the stack location,
+ * and returns a report with every result and error.
  *
  * @param {string} funcName - The name of the function to call on each callee.
  * @param {Array<Object>} [callees=[]] - The array of objects that may contain the method.
  * @param {*} [property=null] - An optional argument to pass to the function when called.
+ * @param {BatchOptions} [options={}] - Per-callee arguments, filtering and error mode.
+ * @returns {BatchReport} What each callee returned or threw.
  * 
  * @example
  * const objects = [
@@ -128,64 +510,377 @@ function createSceneComponent(root, objectName, componentNames, override = false
  * // Hello, Alice!
  * // Hi there, Alice!
  * // Error: Oops! on at index 2 in greet
+ *
+ * @example
+ * const report = batchExecute("getScore", players, null, {
+ *   args: (player, i) => [bonuses[i]],
+ *   filter: (player) => player.isAlive,
+ * });
+ * print(report.values); // scores by player index
+ */
+function batchExecute(funcName, callees = [], property = null, options = {}) {
+    const entries = [];
+
+    for (let i = 0; i < callees.length; i++) {
+        const callee = callees[i];
+
+        try {
+            // Inside the try, so a throwing `filter` or `args` is reported for this callee.
+            const args = batchArguments(funcName, callee, i, property, options);
+            entries.push(args
+                ? {index: i, callee, status: "ok", value: callee[funcName](...args)}
+                : {index: i, callee, status: "skipped"});
+        } catch (error) {
+            printBatchError(error, i, funcName);
+            entries.push({index: i, callee, status: "error", error});
+            if (options.stopOnError) return batchReport(entries, true);
+        }
+    }
+
+    return batchReport(entries, false);
+}
+
+/**
+ * Like `batchExecute`, but awaits methods that return promises.
+ * In "series" mode each call waits for the previous one; in "parallel" mode all calls start at once and
+ * `stopOnError` has no effect, since every call has already started.
+ *
+ * @param {string} funcName - The name of the function to call on each callee.
+ * @param {Array<Object>} [callees=[]] - The array of objects that may contain the method.
+ * @param {*} [property=null] - An optional argument to pass to the function when called.
+ * @param {BatchOptions & { mode?: "series" | "parallel" }} [options={}] - As for `batchExecute`, plus the mode
+ * (default: "series").
+ * @returns {Promise<BatchReport>} Resolves once every call settled; it never rejects.
+ *
+ * @example
+ * const report = await batchExecuteAsync("load", loaders, null, { mode: "parallel" });
+ * if (!report.ok) print(`${report.errors.length} loaders failed`);
  */
-function batchExecute(funcName, callees = [], property = null) {
-    for (let i in callees) {
+async function batchExecuteAsync(funcName, callees = [], property = null, options = {}) {
+    const run = async (callee, i) => {
         try {
-            const callee = callees[i];
+            const args = batchArguments(funcName, callee, i, property, options);
+            if (!args) return {index: i, callee, status: "skipped"};
 
-            if (callee[funcName]) {
-                property !== null
-                    ? callee[funcName](property)
-                    : callee[funcName]();
-            }
+            return {index: i, callee, status: "ok", value: await callee[funcName](...args)};
         } catch (error) {
-            const stackLines = error.stack.split("\n");
-            const location = stackLines[1].trim();
-            print(
-                `${error} on ${
-                    location || "Unknown"
-                } at index ${i} in ${funcName}`
-            );
+            printBatchError(error, i, funcName);
+            return {index: i, callee, status: "error", error};
         }
+    };
+
+    if (options.mode === "parallel") {
+        return batchReport(await Promise.all(callees.map(run)), false);
     }
+
+    const entries = [];
+    for (let i = 0; i < callees.length; i++) {
+        const entry = await run(callees[i], i);
+        entries.push(entry);
+        if (entry.status === "error" && options.stopOnError) return batchReport(entries, true);
+    }
+    return batchReport(entries, false);
 }
 //#endregion
 
 //#region <QUICK UTILS DEFINITIONS>
+/** @private */ const schedulers = new WeakMap();
+
+/**
+ * A handle to a scheduled call.
+ * @typedef {Object} TimerHandle
+ * @property {function(): void} cancel - Stops the timer for good; the callback is not called again.
+ * @property {function(): void} pause - Stops counting time (or frames) until resumed.
+ * @property {function(): void} resume - Continues counting after a pause.
+ * @property {function(): void} restart - Starts counting from zero again, even after it finished or was cancelled.
+ * @property {number} remaining - Seconds (frames, for frame timers) until the next call. Read-only.
+ * @property {number} callCount - How many times the callback has been called since the last restart. Read-only.
+ * @property {boolean} isActive - Whether the timer is still scheduled. Read-only.
+ * @property {boolean} isPaused - Whether the timer is paused. Read-only.
+ */
+
+/**
+ * Returns the shared scheduler of a script, creating its update event on first use.
+ * @private
+ * @param {ScriptComponent} script
+ * @returns {{ timers: Object[], update: SceneEvent }}
+ */
+function getScheduler(script) {
+    let scheduler = schedulers.get(script);
+    if (!scheduler) {
+        scheduler = { timers: [], update: script.createEvent("UpdateEvent") };
+        scheduler.update.bind(() => {
+            const dt = getDeltaTime();
+            for (const timer of scheduler.timers.slice()) {
+                // One failing callback must not stop the other timers of the script.
+                try {
+                    timer.tick(dt);
+                } catch (error) {
+                    print(`${error} on ${errorLocation(error)} in timer callback`);
+                }
+            }
+            scheduler.timers = scheduler.timers.filter((timer) => timer.isActive);
+            scheduler.update.enabled = scheduler.timers.length > 0;
+        });
+        schedulers.set(script, scheduler);
+    }
+    return scheduler;
+}
+
+/**
+ * Schedules a callback on the shared scheduler of a script and returns its handle.
+ * @private
+ * @param {ScriptComponent} script
+ * @param {Object} config
+ * @param {number} config.wait - Seconds, or frames when `byFrame` is set, between calls.
+ * @param {number} config.count - Total number of calls; Infinity repeats until cancelled.
+ * @param {boolean} config.byFrame - Count frames instead of seconds.
+ * @param {function(number): void} config.callback - Receives the zero-based call index.
+ * @returns {TimerHandle}
+ */
+function scheduleCall(script, {wait, count, byFrame, callback}) {
+    const scheduler = getScheduler(script);
+    let elapsed = 0;
+    let calls = 0;
+    let isActive = true;
+    let isPaused = false;
+
+    const timer = {
+        tick(dt) {
+            if (!isActive || isPaused) return;
+
+            elapsed += byFrame ? 1 : dt;
+            const due = byFrame ? elapsed >= wait : elapsed > wait;
+            if (!due) return;
+
+            elapsed = byFrame ? 0 : elapsed - wait;
+            calls++;
+            if (calls >= count) isActive = false;
+            callback(calls - 1);
+        },
+        cancel() {
+            isActive = false;
+        },
+        pause() {
+            isPaused = true;
+        },
+        resume() {
+            isPaused = false;
+        },
+        restart() {
+            elapsed = 0;
+            calls = 0;
+            isPaused = false;
+            if (!scheduler.timers.includes(timer)) {
+                scheduler.timers.push(timer);
+            }
+            isActive = true;
+            scheduler.update.enabled = true;
+        },
+        get remaining() {
+            return isActive ? Math.max(0, wait - elapsed) : 0;
+        },
+        get callCount() {
+            return calls;
+        },
+        get isActive() {
+            return isActive;
+        },
+        get isPaused() {
+            return isPaused;
+        },
+    };
+
+    scheduler.timers.push(timer);
+    scheduler.update.enabled = true;
+
+    return timer;
+}
+
 /**
  * Executes a callback function after a specified delay using an update loop.
+ * All timers of a script share a single update event.
  *
  * @param {number} delay - Time in seconds to wait before invoking the callback.
  * @param {ScriptComponent} script - The script component used to create and manage the update event.
  * @param {Function} callback - The function to execute after the delay.
+ * @returns {TimerHandle} A handle to cancel, pause, resume or restart the call.
+ *
+ * @example
+ * const pending = delayedCall(2.5, script, () => print("Done!"));
+ * backButton.onTap.add(() => pending.cancel());
  */
 function delayedCall(delay, script, callback) {
-    const update = script.createEvent("UpdateEvent");
-    let isCalled = false;
-    let time = 0;
-    update.bind(()=>{
-        time += getDeltaTime();
-        if(time > delay && !isCalled) {
-            isCalled = true;
-            callback();
-            script.removeEvent(update);
+    return scheduleCall(script, {wait: delay, count: 1, byFrame: false, callback: () => callback()});
+}
+
+/**
+ * Executes a callback function repeatedly, every `interval` seconds, until cancelled.
+ *
+ * @param {number} interval - Time in seconds between calls.
+ * @param {ScriptComponent} script - The script component whose shared update event drives the timer.
+ * @param {function(number): void} callback - Receives the zero-based call index.
+ * @returns {TimerHandle}
+ *
+ * @example
+ * const clock = intervalCall(1, script, (i) => print(`Tick ${i}`));
+ */
+function intervalCall(interval, script, callback) {
+    return scheduleCall(script, {wait: interval, count: Infinity, byFrame: false, callback});
+}
+
+/**
+ * Executes a callback function after a number of frames.
+ *
+ * @param {number} frames - Number of update frames to wait.
+ * @param {ScriptComponent} script - The script component whose shared update event drives the timer.
+ * @param {Function} callback - The function to execute.
+ * @returns {TimerHandle} A handle whose `remaining` is measured in frames.
+ *
+ * @example
+ * frameDelayedCall(1, script, () => layoutText()); // next frame
+ */
+function frameDelayedCall(frames, script, callback) {
+    return scheduleCall(script, {wait: frames, count: 1, byFrame: true, callback: () => callback()});
+}
+
+/**
+ * Executes a callback function a fixed number of times, every `interval` seconds.
+ *
+ * @param {number} interval - Time in seconds between calls.
+ * @param {number} count - How many times to call the callback.
+ * @param {ScriptComponent} script - The script component whose shared update event drives the timer.
+ * @param {function(number): void} callback - Receives the zero-based call index.
+ * @returns {TimerHandle}
+ *
+ * @example
+ * repeatCall(1, 3, script, (i) => print(3 - i)); // 3, 2, 1
+ */
+function repeatCall(interval, count, script, callback) {
+    return scheduleCall(script, {wait: interval, count, byFrame: false, callback});
+}
+
+/**
+ * Copies a value that has a dedicated constructor: Lens Studio vectors, quaternions and matrices,
+ * dates and binary data.
+ * @private
+ * @param {Object} value
+ * @returns {Object | undefined} The copy, or undefined if the value is not one of these types.
+ */
+function cloneLeaf(value) {
+    if (value instanceof vec2) return new vec2(value.x, value.y);
+    if (value instanceof vec3) return new vec3(value.x, value.y, value.z);
+    if (value instanceof vec4) return new vec4(value.x, value.y, value.z, value.w);
+    if (value instanceof quat) return new quat(value.w, value.x, value.y, value.z);
+
+    const columns = value instanceof mat4 ? 4 : value instanceof mat3 ? 3 : value instanceof mat2 ? 2 : 0;
+    if (columns) {
+        const copy = new value.constructor();
+        for (let i = 0; i < columns; i++) {
+            copy["column" + i] = cloneLeaf(value["column" + i]);
         }
-    });
+        return copy;
+    }
+
+    if (value instanceof Date) return new Date(value.getTime());
+    if (value instanceof ArrayBuffer) return value.slice(0);
+    if (value instanceof DataView) return new DataView(value.buffer.slice(0), value.byteOffset, value.byteLength);
+    if (ArrayBuffer.isView(value)) return value.slice();
+
+    return undefined;
+}
+
+/**
+ * Recursive worker of `deepClone` and `deepCopyObject`.
+ * @private
+ * @param {any} value
+ * @param {number} depth - Nesting level of `value`; the root is 1.
+ * @param {Map<Object, Object>} seen - Originals mapped to their copies, for cycles and shared references.
+ * @param {{ exceptions: string[], maxDepth: number, copyInstances?: boolean }} options - With `copyInstances`,
+ * class instances are copied into plain objects instead of being shared.
+ * @returns {any}
+ */
+function cloneValue(value, depth, seen, options) {
+    if (typeof value !== "object" || value === null) return value;
+    if (seen.has(value)) return seen.get(value);
+    if (depth > options.maxDepth) return value;
+
+    let copy = cloneLeaf(value);
+    if (copy !== undefined) {
+        seen.set(value, copy);
+        return copy;
+    }
+
+    if (value instanceof Map) {
+        copy = new Map();
+        seen.set(value, copy);
+        value.forEach((v, k) => copy.set(cloneValue(k, depth + 1, seen, options), cloneValue(v, depth + 1, seen, options)));
+        return copy;
+    }
+
+    if (value instanceof Set) {
+        copy = new Set();
+        seen.set(value, copy);
+        value.forEach((v) => copy.add(cloneValue(v, depth + 1, seen, options)));
+        return copy;
+    }
+
+    if (Array.isArray(value)) {
+        copy = [];
+        seen.set(value, copy);
+        value.forEach((v, i) => copy[i] = cloneValue(v, depth + 1, seen, options));
+        return copy;
+    }
+
+    // Scene objects, components, assets and class instances are shared, not cloned.
+    if (!isPlainObject(value) && !options.copyInstances) return value;
+
+    copy = {};
+    seen.set(value, copy);
+    for (const key in value) {
+        if (depth === 1 && options.exceptions.includes(key)) continue;
+        copy[key] = cloneValue(value[key], depth + 1, seen, options);
+    }
+    return copy;
+}
+
+/**
+ * Returns a structured-clone style deep copy of a value.
+ * Handles cycles and shared references, arrays, plain objects, Map, Set, Date, typed arrays,
+ * and Lens Studio vec2/vec3/vec4/quat/mat2/mat3/mat4 values.
+ * Other objects, such as scene objects, components and class instances, are kept by reference.
+ *
+ * @template T
+ * @param {T} value - The value to copy.
+ * @param {Object} [options={}] - Optional settings.
+ * @param {string[]} [options.exceptions=[]] - Top-level property names to leave out.
+ * @param {number} [options.maxDepth=Infinity] - Nesting levels to copy; deeper values are shared. 1 is a shallow copy.
+ * @returns {T} The copy.
+ *
+ * @example
+ * const state = { pos: new vec3(0, 1, 0), tags: new Set(["a"]) };
+ * state.self = state;
+ * const copy = deepClone(state);
+ * copy.self === copy; // true
+ */
+function deepClone(value, {exceptions = [], maxDepth = Infinity} = {}) {
+    return cloneValue(value, 1, new Map(), {exceptions, maxDepth});
 }
 
 /**
  * Deep copies properties from one object to another, with optional recursion and exceptions.
+ * Uses the same copying rules as `deepClone`, so cycles, shared references and Lens Studio types are preserved,
+ * except that class instances are copied into plain objects rather than shared.
  *
  * @param {Object.<string, any>} copyFrom - The source object to copy properties from.
  * @param {Object.<string, any>} copyTo - The target object to copy properties to.
  * @param {Object} [options={}] - Optional settings.
  * @param {boolean} [options.recursive=false] - If true, performs deep copying on nested objects.
+ * Otherwise nested objects are copied one level deep.
  * @param {string[]} [options.exceptions=[]] - List of property names to skip during copying.
+ * @param {number} [options.maxDepth=Infinity] - Nesting levels below `copyFrom` to copy when recursive; deeper values are shared.
  *
- * @returns {void}
- * 
- * @note This function does not handle circular references and may lead to stack overflows on deeply nested objects.
+ * @returns {Object.<string, any>} The target object.
  *
  * @example
  * const source = { a: 1, b: new vec2(1, 2), c: { d: 3 } };
@@ -193,764 +888,4543 @@ function delayedCall(delay, script, callback) {
  * deepCopyObject(source, target, { recursive: true });
  * // target is a deep copy of source, preserving vector instances
  */
-function deepCopyObject(copyFrom, copyTo, {recursive = false, exceptions = []} = {}) {
+function deepCopyObject(copyFrom, copyTo, {recursive = false, exceptions = [], maxDepth = Infinity} = {}) {
+    const seen = new Map([[copyFrom, copyTo]]);
+    const options = {exceptions: [], maxDepth: recursive ? maxDepth + 1 : 2, copyInstances: true};
+
     for (const a in copyFrom) {
-        if(exceptions.includes(a)) continue;
-        const value = copyFrom[a];
-        if (typeof value === "object" && value !== null) {
-            if (value instanceof vec2) copyTo[a] = new vec2(value.x, value.y);
-            else if (value instanceof vec3) copyTo[a] = new vec3(value.x, value.y, value.z);
-            else if (value instanceof vec4) copyTo[a] = new vec4(value.x, value.y, value.z, value.w);
-            else if (value instanceof quat) copyTo[a] = new quat(value.x, value.y, value.z, value.w);
-            else if (recursive) {
-                copyTo[a] = Array.isArray(value) 
-                    ? value.map(v => (typeof v === "object" && v !== null ? this.deepCopyObject(v, {}, true) : v)) 
-                    : this.deepCopyObject(value, {}, true);
-            } else {
-                copyTo[a] = Array.isArray(value) ? [...value] : { ...value };
-            }
-        } else {
-            copyTo[a] = value;
-        }
+        if (exceptions.includes(a)) continue;
+        copyTo[a] = cloneValue(copyFrom[a], 2, seen, options);
     }
+
+    return copyTo;
 }
 
 /**
- * @typedef {(this: InteractionComponent, ...args: any[]) => any } InteractionComponentMethod
- * @typedef {(this: ColliderComponent, ...args: any[]) => any } ColliderComponentMethod
- * @typedef {keyof EventNameMap} EventNameKeys
+ * Lists the numeric components of a Lens Studio vector, quaternion or matrix.
+ * @private
+ * @param {any} value
+ * @returns {number[] | null} The components, or null if the value is not one of these types.
  */
+function mathComponents(value) {
+    if (value instanceof vec2) return [value.x, value.y];
+    if (value instanceof vec3) return [value.x, value.y, value.z];
+    if (value instanceof vec4) return [value.x, value.y, value.z, value.w];
+    if (value instanceof quat) return [value.w, value.x, value.y, value.z];
+
+    const columns = value instanceof mat4 ? 4 : value instanceof mat3 ? 3 : value instanceof mat2 ? 2 : 0;
+    if (!columns) return null;
+
+    const result = [];
+    for (let i = 0; i < columns; i++) {
+        result.push(...mathComponents(value["column" + i]));
+    }
+    return result;
+}
 
 /**
- * Animates text in a typewriter style, rendering characters one-by-one with optional callbacks:
- * user interruption, spelling errors, and line-by-line behavior.
- *
- * @function typewriter
- * @param {string | Text} text - A string or an object with a `text` property to animate.
- * @param {ScriptComponent} script - The Lens Studio script component to bind events to.
- * @param {Object} [options={}] - Optional configuration settings.
- * @param {string} [options.splitter="\n"] - Delimiter used to separate lines.
- * @param {boolean} [options.recover=true] - Cant remember right now ???
- * @param {EventNameKeys | InteractionComponentMethod | ColliderComponentMethod} [options.skipOn=null] - Event name or interaction object that allows skipping the current line.
- * @param {EventNameKeys | InteractionComponentMethod | ColliderComponentMethod} [options.killOn=null] - Event name or interaction object that stops the typing early.
- * @param {number} [options.reset=5] - Base typing delay in milliseconds.
- * @param {number} [options.wait=1] - Time in seconds to wait between lines.
- * @param {boolean} [options.clearAtEnd=true] - Whether to clear the text field when finished.
- * @param {string} [options.clearedText=""] - Text to set when cleared.
- * @param {number} [options.timingError=10] - Random timing offset range in milliseconds.
- * @param {number} [options.spellErrorChance=0.01] - Probability of a spelling error occurring during typing.
- * @param {number} [options.backspaceTime=50] - Delay before backspacing a spelling error, in milliseconds.
- * @param {Function} [options.callback=null] - Called once the entire typing animation is finished.
- * @param {Function} [options.callbackBySplitter=null] - Called at the end of each line (splitter).
- * @param {Function} [options.callbackByType=null] - Called after each character is typed.
- *
- * @example
- * // Basic usage:
- * const myText = script.getSceneObject().getComponent("Component.Text");
- * myText.text = "This will be replaced.";
- * 
- * typewriter(myText, script, {
- *   reset: 50,
- *   splitter: "\n",
- *   callback: () => print("Typing complete!"),
- *   callbackBySplitter: () => print("Next paragraph..."),
- *   callbackByType: () => print("Typed a character."),
- *   skipOn: "TapEvent",
- *   killOn: "TouchEndEvent"
- * });
+ * @private
+ * @param {any} value
+ * @returns {boolean} True for object literals and `Object.create(null)` objects.
  */
+function isPlainObject(value) {
+    if (typeof value !== "object" || value === null) return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
 
-function typewriter(
-    text,
-    script,
-    {
-        splitter = "\n",
-        recover = true,
-        skipOn = null,
-        killOn = null,
-        reset = 5,
-        wait = 1,
-        clearAtEnd = true,
-        clearedText = "",
-        timingError = 10,
-        spellErrorChance = 0.01,
-        backspaceTime = 50,
-        callback = null,
-        callbackBySplitter = null,
-        callbackByType = null
-    } = {}
-) {
-    let textBuffer;
-    let textInput;
-    if (typeof text === "object" && text !== null) {
-        textBuffer = text.text;
-        textInput = text;
-        textInput.text = "";
-    } else if (typeof text === "string"){
-        textBuffer = text;
-        textInput = script.getSceneObject().createComponent("Component.Text");
-        textInput.text = "";
-    } else {
-        print("Input must be a string or an object with a 'text' property");
-        return;
+/**
+ * Recursive worker of `deepEqual`.
+ * @private
+ * @param {any} a
+ * @param {any} b
+ * @param {number} epsilon
+ * @param {Map<Object, Set<Object>>} pairs - Pairs already being compared, so cycles count as equal.
+ * @returns {boolean}
+ */
+function equalValues(a, b, epsilon, pairs) {
+    if (a === b) return true;
+    if (typeof a === "number" && typeof b === "number") {
+        return (a !== a && b !== b) || Math.abs(a - b) <= epsilon;
     }
+    if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+    if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
 
-    let p = 0;
-    let l = 0;
-    let last = getTime();
-    let isWaiting = false;
-    let skipped = false;
-    let misspelled = false;
-    let spellError = "";
-
-    const paragraph = textBuffer.split(splitter);
-    let letters = paragraph[p].split("");
+    const ca = mathComponents(a);
+    if (ca) {
+        const cb = mathComponents(b);
+        return ca.every((v, i) => equalValues(v, cb[i], epsilon, pairs));
+    }
 
-    let userEvent;
-    if (typeof skipOn === "string") {
-        userEvent = script.createEvent(skipOn);
-        userEvent.bind(() => {
-            l += letters.length;
-            skipped = true;
-        });
+    if (a instanceof Date) return a.getTime() === b.getTime();
+    if (ArrayBuffer.isView(a) && !(a instanceof DataView)) {
+        return a.length === b.length && a.every((v, i) => equalValues(v, b[i], epsilon, pairs));
     }
 
-    if (typeof skipOn === "object" && skipOn !== null) {
-        //@ts-expect-error
-        skipOn.add(() => {
-            l += letters.length;
-            skipped = true;
-        });
+    let seen = pairs.get(a);
+    if (seen && seen.has(b)) return true;
+    if (!seen) pairs.set(a, seen = new Set());
+    seen.add(b);
+
+    if (a instanceof Map) {
+        if (a.size !== b.size) return false;
+        for (const [key, value] of a) {
+            if (!b.has(key) || !equalValues(value, b.get(key), epsilon, pairs)) return false;
+        }
+        return true;
     }
-    
-    const update = script.createEvent("UpdateEvent");
 
-    let killEvent;
-    if (typeof killOn === "string") {
-        killEvent = script.createEvent(killOn);
-        killEvent.bind(() => {
-            script.removeEvent(update);
-        });
+    if (a instanceof Set) {
+        if (a.size !== b.size) return false;
+        const rest = [...b];
+        for (const value of a) {
+            const i = rest.findIndex((other) => equalValues(value, other, epsilon, pairs));
+            if (i < 0) return false;
+            rest.splice(i, 1);
+        }
+        return true;
     }
 
-    if (typeof killOn === "object" && killOn !== null) {
-        //@ts-expect-error
-        killOn.add(() => {
-            script.removeEvent(update);
-        });
+    if (Array.isArray(a)) {
+        return a.length === b.length && a.every((v, i) => equalValues(v, b[i], epsilon, pairs));
     }
-    
-    update.bind(() => {
-        const current = getTime();
-        const pLen = paragraph.length;
-        const lLen = letters.length;
-        const delta = current - last;
-        const noise = (Math.random() - 0.5) * 2 * Math.min(timingError, reset);
 
-        if (isWaiting) {
-            if (delta >= wait || skipped) {
-                isWaiting = false;
-                skipped = false;
-                last = current;
-                if (p < pLen - 1) {
-                    textInput.text = "";
-                }
-                if (p < pLen) {
-                    letters = paragraph[p].split("");
-                    l = 0;
-                }
-            }
-            return;
-        }
+    // Scene objects, components, assets and class instances are compared by reference.
+    if (!isPlainObject(a)) return false;
 
-        if (misspelled && delta >= backspaceTime * 0.01) {
-            textInput.text = textInput.text.slice(0, -1);
-            misspelled = false;
-            last = current;
-            return;
-        }
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && equalValues(a[key], b[key], epsilon, pairs));
+}
 
-        if (delta >= (reset - noise) * 0.01 && l < lLen) {
-            if (Math.random() < spellErrorChance && !misspelled) {
-                spellError = String.fromCharCode(
-                    97 + Math.floor(Math.random() * 26)
-                );
-                textInput.text += spellError;
-                misspelled = true;
-            } else if (!misspelled) {
-                textInput.text += letters[l];
+/**
+ * Compares two values structurally.
+ * Numbers, including vec2/vec3/vec4/quat/mat components, are equal when they differ by at most `epsilon`.
+ * Arrays, plain objects, Map, Set, Date and typed arrays are compared by content, everything else by reference.
+ *
+ * @param {any} a
+ * @param {any} b
+ * @param {Object} [options={}] - Optional settings.
+ * @param {number} [options.epsilon=0] - Tolerance for numeric comparisons.
+ * @returns {boolean} True if the values are equal.
+ *
+ * @example
+ * deepEqual({ pos: new vec3(0, 1, 0) }, { pos: new vec3(0, 1.0000001, 0) }, { epsilon: 1e-5 }); // true
+ */
+function deepEqual(a, b, {epsilon = 0} = {}) {
+    return equalValues(a, b, epsilon, new Map());
+}
 
-                if (typeof callbackByType === "function") {
-                    callbackByType();
-                }
+/**
+ * A single change produced by `diff`.
+ * @typedef {Object} DiffEntry
+ * @property {"add" | "remove" | "replace"} op - The kind of change.
+ * @property {(string | number)[]} path - Property names and array indices leading to the changed value.
+ * @property {any} [value] - The new value, for "add" and "replace".
+ * @property {any} [oldValue] - The previous value, for "remove" and "replace".
+ */
 
-                l++;
-                last = current;
-            }
-        }
+/**
+ * Recursive worker of `diff`.
+ * @private
+ * @param {any} a
+ * @param {any} b
+ * @param {(string | number)[]} path
+ * @param {DiffEntry[]} result
+ * @param {number} epsilon
+ * @param {Set<Object>} visiting - Objects of `a` on the current path, so cycles end.
+ */
+function diffValues(a, b, path, result, epsilon, visiting) {
+    const bothArrays = Array.isArray(a) && Array.isArray(b);
+    const bothObjects = isPlainObject(a) && isPlainObject(b);
 
-        if (l >= lLen) {
-            if (recover && p < pLen - 1) {
-                textInput.text += splitter;
-            }
-            
-            if (typeof callbackBySplitter === "function") {
-                callbackBySplitter();
-            }
-            
-            p++;
-            isWaiting = true;
-            last = current;
-        }
+    if (!bothArrays && !bothObjects) {
+        if (!deepEqual(a, b, {epsilon})) result.push({op: "replace", path, value: b, oldValue: a});
+        return;
+    }
+    if (visiting.has(a)) return;
+    visiting.add(a);
 
-        if (p >= pLen) {
-            if (clearAtEnd) {
-                textInput.text = clearedText;
-            }
-            if (userEvent) {
-                script.removeEvent(userEvent);
-            }
-            if (killEvent) {
-                script.removeEvent(userEvent);
+    if (bothArrays) {
+        const shared = Math.min(a.length, b.length);
+        for (let i = 0; i < shared; i++) {
+            diffValues(a[i], b[i], [...path, i], result, epsilon, visiting);
+        }
+        for (let i = shared; i < b.length; i++) {
+            result.push({op: "add", path: [...path, i], value: b[i]});
+        }
+        // Highest index first, so each removal leaves the remaining indices valid
+        for (let i = a.length - 1; i >= shared; i--) {
+            result.push({op: "remove", path: [...path, i], oldValue: a[i]});
+        }
+    } else {
+        for (const key of Object.keys(a)) {
+            if (!Object.prototype.hasOwnProperty.call(b, key)) {
+                result.push({op: "remove", path: [...path, key], oldValue: a[key]});
+            } else {
+                diffValues(a[key], b[key], [...path, key], result, epsilon, visiting);
             }
-                                
-            if (typeof callback === "function") {
-                callback();
+        }
+        for (const key of Object.keys(b)) {
+            if (!Object.prototype.hasOwnProperty.call(a, key)) {
+                result.push({op: "add", path: [...path, key], value: b[key]});
             }
-
-            script.removeEvent(update);
         }
-    });
+    }
+
+    visiting.delete(a);
 }
 
 /**
- * Flattens a hierarchical object structure into a flat map or array.
+ * Lists the changes that turn `a` into `b`.
+ * Plain objects and arrays are walked property by property; any other value, including vectors and quaternions,
+ * is reported as a single "replace" when `deepEqual` says it changed.
  *
- * If `result` is an object, the function creates a key-value map using the `name` property of each node.
- * If `result` is an array, the function pushes each node sequentially.
+ * @param {any} a - The old value.
+ * @param {any} b - The new value.
+ * @param {Object} [options={}] - Optional settings.
+ * @param {number} [options.epsilon=0] - Tolerance for numeric comparisons.
+ * @returns {DiffEntry[]} The changes, in the order `applyPatch` expects.
  *
- * @param {Object} parent - The root object of the hierarchy. Should have a `name` and `children` array.
- * @param {Object.<string, Object>|Object[]} [result={}] - The target object or array to accumulate results into.
- * @returns {Object.<string, Object>|Object[]} The flattened hierarchy as a map or array.
+ * @example
+ * diff({ speed: 1, pos: new vec2(0, 0) }, { speed: 2, pos: new vec2(0, 0), tag: "new" });
+ * // [{ op: "replace", path: ["speed"], value: 2, oldValue: 1 }, { op: "add", path: ["tag"], value: "new" }]
+ */
+function diff(a, b, {epsilon = 0} = {}) {
+    const result = [];
+    diffValues(a, b, [], result, epsilon, new Set());
+    return result;
+}
+
+/**
+ * Applies the changes returned by `diff` to `target` in place. New values are deep-cloned, so the target never
+ * shares objects with the value the diff was made from.
+ *
+ * @param {any} target - The object to patch, usually a copy of the `a` passed to `diff`.
+ * @param {DiffEntry[]} changes - The changes to apply.
+ * @returns {any} The patched target, or the new value if the diff replaces the root.
  *
  * @example
- * const tree = {
- *   name: "root",
- *   children: [
- *     { name: "child1", children: [] },
- *     { name: "child2", children: [] }
- *   ]
- * };
- * 
- * const flat = flattenObjectHierarchy(tree); // Returns { root: {...}, child1: {...}, child2: {...} }
+ * const saved = applyPatch(deepClone(before), diff(before, after)); // deepEqual(saved, after) === true
  */
-function flattenObjectHierarchy(parent, result = {}) {
-    if(typeof result === "object" && result !== null && !Array.isArray(result)) {
-        result[parent.name] = parent;
-    } else {
-        result.push(parent);
+function applyPatch(target, changes) {
+    for (const change of changes) {
+        const path = change.path;
+        if (!path.length) {
+            target = deepClone(change.value);
+            continue;
+        }
+
+        let parent = target;
+        for (let i = 0; i < path.length - 1; i++) {
+            parent = parent != null ? parent[path[i]] : undefined;
+        }
+        if (typeof parent !== "object" || parent === null) {
+            print(`Error: applyPatch cannot reach path "${path.join(".")}"`);
+            continue;
+        }
+
+        const key = path[path.length - 1];
+        if (change.op === "remove") {
+            if (Array.isArray(parent)) parent.splice(key, 1);
+            else delete parent[key];
+        } else {
+            parent[key] = deepClone(change.value);
+        }
     }
 
-    for (const child of parent.children) {
-        flattenObjectHierarchy(child, result);
+    return target;
+}
+
+/**
+ * Lens Studio math types that `serialize` tags, with the number of components each one stores.
+ * @private
+ * @type {Object.<string, number>}
+ */
+const mathTypeSizes = {vec2: 2, vec3: 3, vec4: 4, quat: 4, mat2: 4, mat3: 9, mat4: 16};
+
+/**
+ * @private
+ * @param {any} value
+ * @returns {string | null} The `$type` tag of a Lens Studio math value, or null.
+ */
+function mathTypeName(value) {
+    if (value instanceof vec2) return "vec2";
+    if (value instanceof vec3) return "vec3";
+    if (value instanceof vec4) return "vec4";
+    if (value instanceof quat) return "quat";
+    if (value instanceof mat2) return "mat2";
+    if (value instanceof mat3) return "mat3";
+    if (value instanceof mat4) return "mat4";
+    return null;
+}
+
+/**
+ * Rebuilds a Lens Studio math value from the components listed by `mathComponents`.
+ * @private
+ * @param {string} name - One of the `mathTypeSizes` keys.
+ * @param {number[]} c
+ * @returns {vec2 | vec3 | vec4 | quat | mat2 | mat3 | mat4}
+ */
+function fromMathComponents(name, c) {
+    switch (name) {
+        case "vec2": return new vec2(c[0], c[1]);
+        case "vec3": return new vec3(c[0], c[1], c[2]);
+        case "vec4": return new vec4(c[0], c[1], c[2], c[3]);
+        case "quat": return new quat(c[0], c[1], c[2], c[3]);
     }
 
+    const size = Math.sqrt(mathTypeSizes[name]);
+    const result = name === "mat4" ? new mat4() : name === "mat3" ? new mat3() : new mat2();
+    for (let i = 0; i < size; i++) {
+        const column = c.slice(i * size, i * size + size);
+        result["column" + i] = fromMathComponents("vec" + size, column);
+    }
     return result;
 }
 
 /**
- * Creates a wrapper function that ensures the wrapped function is called only once.
- * Subsequent calls return undefined until the wrapper is reset.
- *
- * @template {any[]} TArgs
- * @template TResult
- * @param {(...args: TArgs) => TResult} fn - The function to call only once.
- * @returns {((...args: TArgs) => TResult | undefined) & { reset: () => void }}
+ * Recursive worker of `serialize`: turns a value into JSON-safe data with `$type` tags.
+ * @private
+ * @param {any} value
+ * @param {string | number | null} key - The property name or index that holds `value`.
+ * @param {string[]} colorKeys
+ * @param {Set<Object>} visiting - Objects on the current path, so cycles are reported instead of looping.
+ * @returns {any}
  */
-function singleCall(fn) {
-    let called = false;
+function tagValue(value, key, colorKeys, visiting) {
+    if (typeof value !== "object" || value === null) return value;
 
-    function wrapper(...args) {
-        if (!called) {
-            called = true;
-            return fn.apply(this, args);
-        }
+    if ((value instanceof vec3 || value instanceof vec4) && colorKeys.includes(key)) {
+        return {$type: "color", hex: toHex(value, value instanceof vec4)};
     }
 
-    wrapper.reset = () => {
-        called = false;
-    };
+    const name = mathTypeName(value);
+    if (name) return {$type: name, value: mathComponents(value)};
+    if (value instanceof Date) {
+        // toISOString throws on invalid dates
+        return {$type: "date", value: isNaN(value.getTime()) ? null : value.toISOString()};
+    }
 
-    return wrapper;
+    if (visiting.has(value)) {
+        print(`Error: serialize found a circular reference at "${key}"`);
+        return null;
+    }
+    visiting.add(value);
+
+    let result = null;
+    if (value instanceof Map) {
+        result = {$type: "map", value: [...value].map(([k, v]) => [tagValue(k, null, colorKeys, visiting), tagValue(v, k, colorKeys, visiting)])};
+    } else if (value instanceof Set) {
+        result = {$type: "set", value: [...value].map((v) => tagValue(v, null, colorKeys, visiting))};
+    } else if (Array.isArray(value)) {
+        result = value.map((v, i) => tagValue(v, i, colorKeys, visiting));
+    } else if (isPlainObject(value)) {
+        result = {};
+        for (const k in value) {
+            if (typeof value[k] === "function" || value[k] === undefined) continue;
+            result[k] = tagValue(value[k], k, colorKeys, visiting);
+        }
+        // An own `$type` would be read back as a tag, so the object is wrapped.
+        if (Object.prototype.hasOwnProperty.call(value, "$type")) {
+            result = {$type: "object", value: result};
+        }
+    } else {
+        print(`Warning: serialize cannot store "${key}", writing null instead`);
+    }
+
+    visiting.delete(value);
+    return result;
 }
 
 /**
- * Converts a 6-digit (#RRGGBB) or 4-digit (#RGBA) hex color string
- * into a normalized vec3 or vec4 color vector.
- *
- * @param {string} [hex=""] - The hex color string. May start with '#'.
- * @param {boolean} [inVec4=true] - Whether to return a vec4 (RGBA) or vec3 (RGB). If alpha is not given, defaults to 1.
- * @returns {vec3|vec4} The normalized color vector with components in [0, 1].
- *                      Returns magenta (1, 0, 1) or (1, 0, 1, 1) on invalid input.
- *
- * @example
- * convertHex("#FF8800");       // → vec4(1, 0.533, 0, 1)
- * convertHex("3366CC", false); // → vec3(0.2, 0.4, 0.8)
- * convertHex("#F8C4", true);   // → vec4(1, 0.533, 0.8, 0.266)
- * convertHex("HEX");        // → vec4(1, 0, 1, 1) with error printed
+ * Recursive worker of `deserialize`: rebuilds the values `tagValue` tagged.
+ * @private
+ * @param {any} data
+ * @returns {any}
  */
-function convertHex(hex = "", inVec4 = true) {
-    if (hex.startsWith("#")) {
-        hex = hex.slice(1);
-    }
+function untagValue(data) {
+    if (typeof data !== "object" || data === null) return data;
+    if (Array.isArray(data)) return data.map(untagValue);
 
-    if (hex.length === 6) {
-        const r = parseInt(hex.slice(0, 2), 16) / 255;
-        const g = parseInt(hex.slice(2, 4), 16) / 255;
-        const b = parseInt(hex.slice(4, 6), 16) / 255;
-        return inVec4 ? new vec4(r, g, b, 1) : new vec3(r, g, b);
+    const type = data.$type;
+    if (type === "color") {
+        const color = parseColor(data.hex, /^#?([0-9a-f]{4}|[0-9a-f]{8})$/i.test(data.hex));
+        if (!color) print(`Error: invalid color "${data.hex}"`);
+        return color;
+    }
+    if (Object.prototype.hasOwnProperty.call(mathTypeSizes, type)) {
+        if (!Array.isArray(data.value) || data.value.length !== mathTypeSizes[type]) {
+            print(`Error: invalid ${type} data`);
+            return null;
+        }
+        return fromMathComponents(type, data.value);
+    }
+    if (type === "date") return new Date(data.value === null ? NaN : data.value);
+    if (type === "map" || type === "set") {
+        if (!Array.isArray(data.value) || (type === "map" && !data.value.every(Array.isArray))) {
+            print(`Error: invalid ${type} data`);
+            return null;
+        }
+        return type === "map"
+            ? new Map(data.value.map(([k, v]) => [untagValue(k), untagValue(v)]))
+            : new Set(data.value.map(untagValue));
     }
 
-    if (hex.length === 4) {
-        const r = parseInt(hex[0] + hex[0], 16) / 255;
-        const g = parseInt(hex[1] + hex[1], 16) / 255;
-        const b = parseInt(hex[2] + hex[2], 16) / 255;
-        const a = parseInt(hex[3] + hex[3], 16) / 255;
-        return inVec4 ? new vec4(r, g, b, a) : new vec3(r, g, b);
+    let fields = data;
+    if (type === "object") {
+        if (!isPlainObject(data.value)) {
+            print("Error: invalid object data");
+            return null;
+        }
+        fields = data.value;
     }
 
-    print(`Error: invalid hex "${hex}"`);
-    return inVec4 ? new vec4(1, 0, 1, 1) : new vec3(1, 0, 1);
+    const result = {};
+    for (const k in fields) {
+        result[k] = untagValue(fields[k]);
+    }
+    return result;
 }
-//#endregion
 
-//#region <SOGT CLASS>
 /**
- * A function that takes a number `k` from 0 to 1 and returns an eased number.
- * @callback EaseFunction
- * @param {number} k - A number between 0 and 1.
- * @returns {number} - Eased output.
+ * Converts a value to a JSON string that `deserialize` can turn back into the original types.
+ * vec2/vec3/vec4/quat/mat2/mat3/mat4, Date, Map and Set are written as `{"$type": ..., "value": ...}` objects,
+ * and vec3/vec4 values under `colorKeys` as `{"$type": "color", "hex": "#RRGGBB(AA)"}`.
+ * Plain objects with their own `$type` key are wrapped as `{"$type": "object", "value": ...}` so they are not
+ * mistaken for tags. Invalid dates are stored with a null value and come back as invalid dates. Functions are skipped. Scene objects, components and circular references are written as null with a message.
+ *
+ * @param {any} value - The value to store.
+ * @param {Object} [options={}] - Optional settings.
+ * @param {number} [options.version=0] - Schema version stored with the data, used by `deserialize` migrations.
+ * @param {string[]} [options.colorKeys=[]] - Property names whose vectors are stored as hex colors.
+ * @returns {string} The JSON payload.
+ *
+ * @example
+ * const json = serialize({ pos: new vec3(0, 1, 0), tint: new vec4(1, 0, 0, 1) }, { version: 2, colorKeys: ["tint"] });
+ * // {"version":2,"data":{"pos":{"$type":"vec3","value":[0,1,0]},"tint":{"$type":"color","hex":"#FF0000FF"}}}
  */
+function serialize(value, {version = 0, colorKeys = []} = {}) {
+    return JSON.stringify({version, data: tagValue(value, null, colorKeys, new Set())});
+}
 
 /**
- * Easing function group with `In`, `Out`, and `InOut` variants.
- * @typedef {Object} EaseGroup
- * @property {EaseFunction} [In]
+ * Rebuilds a value stored by `serialize`, running migrations when it was saved with an older schema version.
+ * Data without a version envelope, such as a hand-written remote config, is treated as version 0.
+ * Color tags become vec4 when the hex has an alpha channel, and vec3 otherwise.
+ *
+ * @param {string | Object} json - The JSON string, or an already parsed object.
+ * @param {Object} [options={}] - Optional settings.
+ * @param {number} [options.version] - The current schema version. Defaults to the stored version.
+ * @param {Object.<number, (data: any) => any>} [options.migrations={}] - Upgrade functions keyed by the version they
+ * upgrade to. Each one receives the rebuilt data of the previous version and returns the new data.
+ * @returns {any} The rebuilt value, or null if the JSON is invalid.
+ *
+ * @example
+ * const state = deserialize(saved, {
+ *   version: 2,
+ *   migrations: {
+ *     2: (data) => ({ ...data, scale: new vec3(data.size, data.size, data.size) }),
+ *   },
+ * });
+ */
+function deserialize(json, {version, migrations = {}} = {}) {
+    let payload = json;
+    if (typeof json === "string") {
+        try {
+            payload = JSON.parse(json);
+        } catch (e) {
+            print(`Error: cannot parse serialized data: ${e.message}`);
+            return null;
+        }
+    }
+
+    const isEnvelope = isPlainObject(payload) && typeof payload.version === "number" && "data" in payload;
+    const savedVersion = isEnvelope ? payload.version : 0;
+    let data = untagValue(isEnvelope ? payload.data : payload);
+
+    if (version === undefined) return data;
+    if (savedVersion > version) {
+        print(`Warning: data version ${savedVersion} is newer than ${version}, skipping migrations`);
+        return data;
+    }
+
+    for (let v = savedVersion + 1; v <= version; v++) {
+        if (typeof migrations[v] === "function") {
+            data = migrations[v](data);
+        }
+    }
+
+    return data;
+}
+
+/**
+ * @typedef {(this: InteractionComponent, ...args: any[]) => any } InteractionComponentMethod
+ * @typedef {(this: ColliderComponent, ...args: any[]) => any } ColliderComponentMethod
+ * @typedef {keyof EventNameMap} EventNameKeys
+ */
+
+/**
+ * Creates a deterministic pseudo-random number generator (mulberry32).
+ * The same seed always yields the same sequence, so seeded animations replay identically.
+ *
+ * @param {number | string} seed - A number, or a string that is hashed into one.
+ * @returns {function(): number} A function returning numbers in [0, 1), like `Math.random`.
+ *
+ * @example
+ * const random = createRandom("intro-cutscene");
+ * random(); // always the same first value for this seed
+ */
+function createRandom(seed) {
+    let state = 0;
+    if (typeof seed === "string") {
+        // FNV-1a
+        state = 2166136261;
+        for (let i = 0; i < seed.length; i++) {
+            state = Math.imul(state ^ seed.charCodeAt(i), 16777619);
+        }
+    } else {
+        state = Math.floor(Number(seed)) || 0;
+    }
+
+    return function () {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/** @private */ const keyboardRows = ["1234567890", "qwertyuiop", "asdfghjkl", "zxcvbnm"];
+/** @private */ let keyboardNeighbors = null;
+
+/**
+ * Returns a key next to the given one on a QWERTY keyboard, keeping its case.
+ * @private
+ * @param {string} key
+ * @param {function(): number} random
+ * @returns {string | null} A neighboring key, or null if the key is not on the letter or number rows.
+ */
+function adjacentKey(key, random) {
+    if (!keyboardNeighbors) {
+        keyboardNeighbors = {};
+        keyboardRows.forEach((row, r) => {
+            for (let c = 0; c < row.length; c++) {
+                // Rows are staggered: the row above leans right, the row below leans left.
+                keyboardNeighbors[row[c]] = [
+                    row[c - 1], row[c + 1],
+                    (keyboardRows[r - 1] || "")[c], (keyboardRows[r - 1] || "")[c + 1],
+                    (keyboardRows[r + 1] || "")[c - 1], (keyboardRows[r + 1] || "")[c],
+                ].filter(Boolean).join("");
+            }
+        });
+    }
+
+    const lower = key.toLowerCase();
+    const neighbors = keyboardNeighbors[lower];
+    if (!neighbors) return null;
+
+    const wrong = neighbors[Math.floor(random() * neighbors.length)];
+    return key !== lower ? wrong.toUpperCase() : wrong;
+}
+
+/**
+ * Plans a typo for the letter at `index`: the wrong letters to type before backspacing over all of them.
+ * The keyboard model mostly hits a neighboring key, sometimes swaps two letters
+ * and sometimes keeps typing a few letters before noticing.
+ * @private
+ * @param {TypewriterToken[]} tokens
+ * @param {number} index
+ * @param {function(): number} random
+ * @param {"keyboard" | "random"} model
+ * @returns {string[] | null} The wrong letters, or null when the letter cannot be mistyped.
+ */
+function planTypo(tokens, index, random, model) {
+    if (model === "random") {
+        return [String.fromCharCode(97 + Math.floor(random() * 26))];
+    }
+
+    const letter = tokens[index].text;
+    const wrong = adjacentKey(letter, random);
+    if (!wrong) return null;
+
+    const following = [];
+    for (let i = index + 1; i < tokens.length && tokens[i].text !== undefined && following.length < 3; i++) {
+        following.push(tokens[i].text);
+    }
+
+    const roll = random();
+    if (roll < 0.2 && following.length && adjacentKey(following[0], random)) {
+        return [following[0], letter];
+    }
+    if (roll < 0.45 && following.length) {
+        return [wrong].concat(following.slice(0, 1 + Math.floor(random() * following.length)));
+    }
+    return [wrong];
+}
+
+/**
+ * Splits text into user-perceived characters (grapheme clusters), so emoji, flags,
+ * skin tones and combining accents are never cut in half.
+ * Uses `Intl.Segmenter` when available and a built-in approximation otherwise.
+ *
+ * @param {string} text - The text to split.
+ * @returns {string[]} The grapheme clusters, in order.
+ *
+ * @example
+ * splitGraphemes("héllo 👋🏽🇹🇷"); // → ["h", "é", "l", "l", "o", " ", "👋🏽", "🇹🇷"]
+ */
+function splitGraphemes(text) {
+    if (typeof Intl !== "undefined" && typeof Intl.Segmenter === "function") {
+        return Array.from(new Intl.Segmenter(undefined, {granularity: "grapheme"}).segment(text), (part) => part.segment);
+    }
+
+    const isExtender = (cp) =>
+        (cp >= 0xfe00 && cp <= 0xfe0f) ||   // variation selectors
+        (cp >= 0x1f3fb && cp <= 0x1f3ff) || // skin tone modifiers
+        (cp >= 0xe0020 && cp <= 0xe007f) || // tag sequences, e.g. subdivision flags
+        (cp >= 0xe0100 && cp <= 0xe01ef) || // variation selectors supplement
+        cp === 0x200d;
+    const isRegional = (cp) => cp >= 0x1f1e6 && cp <= 0x1f1ff;
+    const isMark = (cp) =>
+        (cp >= 0x0300 && cp <= 0x036f) ||   // combining diacritical marks
+        (cp >= 0x1ab0 && cp <= 0x1aff) ||   // combining diacritical marks extended
+        (cp >= 0x1dc0 && cp <= 0x1dff) ||   // combining diacritical marks supplement
+        (cp >= 0x20d0 && cp <= 0x20ff) ||   // combining marks for symbols
+        (cp >= 0xfe20 && cp <= 0xfe2f);     // combining half marks
+
+    const clusters = [];
+    let joinNext = false;
+    let regionalOpen = false;
+
+    for (const ch of text) {
+        const cp = ch.codePointAt(0);
+        const previous = clusters.length - 1;
+        const attach = previous >= 0 && (
+            joinNext ||
+            isExtender(cp) ||
+            isMark(cp) ||
+            (isRegional(cp) && regionalOpen) ||
+            (ch === "\n" && clusters[previous].endsWith("\r"))
+        );
+
+        if (attach) {
+            clusters[previous] += ch;
+            regionalOpen = false;
+        } else {
+            clusters.push(ch);
+            regionalOpen = isRegional(cp);
+        }
+        joinNext = cp === 0x200d;
+    }
+
+    return clusters;
+}
+
+/**
+ * Splits text into the units a typewriter reveals one at a time.
+ * @private
+ * @param {string} text
+ * @param {"character" | "word" | "line"} unit
+ * @returns {string[]}
+ */
+function splitUnits(text, unit) {
+    if (unit === "word") {
+        return text.match(/\s*\S+\s*|\s+/g) || [];
+    }
+    if (unit === "line") {
+        return text.match(/[^\n]*\n|[^\n]+/g) || [];
+    }
+    return splitGraphemes(text);
+}
+
+/** @private */ const markupTag = /\{(pause|speed|event)=([^}]*)\}/g;
+
+/**
+ * A letter or an inline markup tag of a typewriter line.
+ * @typedef {Object} TypewriterToken
+ * @property {string} [text] - The text to type at once: a character, word or line depending on the unit.
+ * @property {"pause" | "speed" | "event"} [tag] - The tag name, for markup tags.
+ * @property {string} [value] - The tag value.
+ */
+
+/**
+ * Splits a typewriter line into units of text and `{pause=…}`, `{speed=…}` and `{event=…}` tags.
+ * @private
+ * @param {string} line
+ * @param {boolean} markup - Whether to parse tags. When false the whole line is text.
+ * @param {"character" | "word" | "line"} [unit="character"] - How the text is split.
+ * @returns {TypewriterToken[]}
+ */
+function parseMarkup(line, markup, unit = "character") {
+    const tokens = [];
+    const pushText = (str) => splitUnits(str, unit).forEach(part => tokens.push({text: part}));
+
+    if (!markup) {
+        pushText(line);
+        return tokens;
+    }
+
+    let index = 0;
+    let match;
+    markupTag.lastIndex = 0;
+    while ((match = markupTag.exec(line)) !== null) {
+        pushText(line.slice(index, match.index));
+        tokens.push({tag: match[1], value: match[2].trim()});
+        index = match.index + match[0].length;
+    }
+    pushText(line.slice(index));
+
+    return tokens;
+}
+
+/**
+ * Removes markup tags from a typewriter line.
+ * @private
+ * @param {string} line
+ * @param {boolean} markup
+ * @returns {string}
+ */
+function stripMarkup(line, markup) {
+    return markup ? line.replace(markupTag, "") : line;
+}
+
+/**
+ * Resolves the text argument of the text effects: an object with a `text` property is used as is,
+ * a string gets a new Text component on the script's scene object.
+ * @private
+ * @param {string | Text} text
+ * @param {ScriptComponent} script
+ * @returns {{ buffer: string, input: Text } | null} The original text and the component to write to, or null on invalid input.
+ */
+function resolveTextInput(text, script) {
+    if (typeof text === "object" && text !== null) {
+        return { buffer: text.text, input: text };
+    }
+    if (typeof text === "string") {
+        return { buffer: text, input: script.getSceneObject().createComponent("Component.Text") };
+    }
+
+    print("Input must be a string or an object with a 'text' property");
+    return null;
+}
+
+/**
+ * Calls an optional user callback.
+ * @private
+ * @param {Function | null} callback
+ */
+function invokeCallback(callback) {
+    if (typeof callback === "function") {
+        callback();
+    }
+}
+
+/**
+ * Grapheme offsets where each line of a text starts and ends.
+ * @private
+ * @param {string} buffer
+ * @param {string} splitter
+ * @returns {{ start: number, end: number }[]}
+ */
+function lineBounds(buffer, splitter) {
+    const splitterLength = splitGraphemes(splitter).length;
+    const lines = buffer.split(splitter);
+    const bounds = [];
+    let offset = 0;
+
+    lines.forEach((line, i) => {
+        const length = splitGraphemes(line).length;
+        bounds.push({start: offset, end: offset + length});
+        offset += length + (i < lines.length - 1 ? splitterLength : 0);
+    });
+    return bounds;
+}
+
+/**
+ * Subscribes to an event name, creating a script event, or to an object with `add`, such as `onTap` or a `Signal`.
+ * @private
+ * @param {ScriptComponent} script
+ * @param {EventNameKeys | Object | null} source
+ * @param {Function} handler
+ * @returns {function(): void} Removes the subscription again.
+ */
+function subscribeEvent(script, source, handler) {
+    if (typeof source === "string") {
+        const event = script.createEvent(source);
+        event.bind(handler);
+        return () => script.removeEvent(event);
+    }
+    if (typeof source === "object" && source !== null) {
+        //@ts-expect-error
+        const registration = source.add(handler);
+        //@ts-expect-error
+        return () => source.remove(registration !== undefined ? registration : handler);
+    }
+    return () => {};
+}
+
+/**
+ * Controls a running typewriter animation.
+ * @typedef {Object} TypewriterController
+ * @property {function(): void} pause - Freezes typing, including waits between lines.
+ * @property {function(): void} resume - Continues typing after a pause.
+ * @property {function(): void} skipLine - Reveals the rest of the current line at once and skips the wait after it.
+ * @property {function(): void} skipAll - Jumps to the end, as if typing had finished.
+ * @property {function(): void} kill - Stops typing and removes every registered event. `callback` is not called.
+ * @property {function(): void} restart - Clears the text and types it again from the start.
+ * @property {function(number): void} setSpeed - Sets a typing speed multiplier; 2 types twice as fast.
+ * @property {number} paragraphIndex - Index of the line being typed. Read-only.
+ * @property {number} letterIndex - Number of units (characters, words or lines) typed in the current line. Read-only.
+ * @property {boolean} isFinished - Whether typing finished, was skipped to the end or was killed. Read-only.
+ * @property {boolean} isPaused - Whether typing is paused. Read-only.
+ */
+
+/**
+ * Animates text in a typewriter style, rendering characters one-by-one with optional callbacks:
+ * user interruption, spelling errors, and line-by-line behavior.
+ * Characters are grapheme clusters, so emoji and accented letters are typed whole.
+ *
+ * Inline tags control pacing and are never rendered:
+ * `{pause=0.8}` waits 0.8 seconds, `{speed=3}` types three times as fast until the next speed tag,
+ * and `{event=shake}` calls `options.events.shake`. Tags skipped over still apply, except pauses.
+ *
+ * @function typewriter
+ * @param {string | Text} text - A string or an object with a `text` property to animate.
+ * @param {ScriptComponent} script - The Lens Studio script component to bind events to.
+ * @param {Object} [options={}] - Optional configuration settings.
+ * @param {string} [options.splitter="\n"] - Delimiter used to separate lines.
+ * @param {boolean} [options.recover=true] - Cant remember right now ???
+ * @param {EventNameKeys | InteractionComponentMethod | ColliderComponentMethod | Signal} [options.skipOn=null] - Event name, interaction object or `Signal` that allows skipping the current line.
+ * @param {EventNameKeys | InteractionComponentMethod | ColliderComponentMethod | Signal} [options.killOn=null] - Event name, interaction object or `Signal` that stops the typing early.
+ * @param {number} [options.reset=5] - Base typing delay in milliseconds.
+ * @param {number} [options.wait=1] - Time in seconds to wait between lines.
+ * @param {boolean} [options.clearAtEnd=true] - Whether to clear the text field when finished.
+ * @param {string} [options.clearedText=""] - Text to set when cleared.
+ * @param {number} [options.timingError=10] - Random timing offset range in milliseconds.
+ * @param {number} [options.spellErrorChance=0.01] - Probability of a spelling error occurring during typing.
+ * @param {"keyboard" | "random"} [options.typoModel="keyboard"] - `"keyboard"` hits neighboring keys, swaps letters and
+ * sometimes types a few more letters before backspacing; `"random"` types a single random letter.
+ * @param {number | string} [options.seed=null] - Seeds timing noise and typos so every run plays the same way.
+ * @param {number} [options.backspaceTime=50] - Delay before backspacing a spelling error, in milliseconds.
+ * @param {Function} [options.callback=null] - Called once the entire typing animation is finished.
+ * @param {Function} [options.callbackBySplitter=null] - Called at the end of each line (splitter).
+ * @param {Function} [options.callbackByType=null] - Called after each character (word or line, see `unit`) is typed.
+ * @param {"character" | "word" | "line"} [options.unit="character"] - Reveal one character, word or line per keystroke.
+ * Spelling errors only happen in character mode.
+ * @param {boolean} [options.markup=true] - Whether to parse inline `{pause}`, `{speed}` and `{event}` tags.
+ * @param {Object.<string, function(string): void>} [options.events={}] - Handlers for `{event=name}` tags, keyed by name.
+ * Tags at the very start of the text run on the first update, never inside the `typewriter` call.
+ * @returns {TypewriterController | null} A controller for the animation, or null on invalid input.
+ *
+ * @example
+ * // Basic usage:
+ * const myText = script.getSceneObject().getComponent("Component.Text");
+ * myText.text = "This will be replaced.";
+ * 
+ * const writer = typewriter(myText, script, {
+ *   reset: 50,
+ *   splitter: "\n",
+ *   callback: () => print("Typing complete!"),
+ *   callbackBySplitter: () => print("Next paragraph..."),
+ *   callbackByType: () => print("Typed a character."),
+ *   skipOn: "TapEvent",
+ *   killOn: "TouchEndEvent"
+ * });
+ *
+ * // Later, e.g. while a menu is open:
+ * writer.pause();
+ * writer.resume();
+ *
+ * @example
+ * // Inline pacing:
+ * typewriter(myText, script, {
+ *   events: { shake: () => shakeCamera() }
+ * });
+ * // with myText.text = "Hello...{pause=0.8} are you {speed=3}there?{event=shake}"
+ */
+
+function typewriter(
+    text,
+    script,
+    {
+        splitter = "\n",
+        recover = true,
+        skipOn = null,
+        killOn = null,
+        reset = 5,
+        wait = 1,
+        clearAtEnd = true,
+        clearedText = "",
+        timingError = 10,
+        spellErrorChance = 0.01,
+        typoModel = "keyboard",
+        seed = null,
+        backspaceTime = 50,
+        callback = null,
+        callbackBySplitter = null,
+        callbackByType = null,
+        unit = "character",
+        markup = true,
+        events = {}
+    } = {}
+) {
+    const resolved = resolveTextInput(text, script);
+    if (!resolved) return null;
+
+    const textBuffer = resolved.buffer;
+    const textInput = resolved.input;
+    textInput.text = "";
+
+    const paragraph = textBuffer.split(splitter);
+    const pLen = paragraph.length;
+
+    let p = 0;
+    let l = 0;
+    let letters = parseMarkup(paragraph[p], markup, unit);
+    let last = getTime();
+    let isWaiting = false;
+    let skipped = false;
+    let random = Math.random;
+    let noise = 0;
+    /** @type {{ pending: string[], typed: string[] } | null} */
+    let typo = null;
+
+    let speed = 1;
+    let tagSpeed = 1;
+    let isPaused = false;
+    let pausedAt = 0;
+    let isFinished = false;
+    // Tags at the very start are applied on the first update, once the caller holds the controller.
+    let leadingTags = false;
+
+    let update = null;
+    let cleanups = [];
+
+    const cleanup = () => {
+        cleanups.forEach(fn => fn());
+        cleanups = [];
+        if (update) {
+            script.removeEvent(update);
+            update = null;
+        }
+    };
+
+    // Applies the tags ahead of the next letter. Pauses push `last` into the future unless skipping.
+    const applyTag = (token, current, skipping) => {
+        if (token.tag === "pause") {
+            if (!skipping) last = Math.max(last, current + (parseFloat(token.value) || 0));
+        } else if (token.tag === "speed") {
+            tagSpeed = Math.max(parseFloat(token.value) || 1, 0.001);
+        } else if (token.tag === "event" && typeof events[token.value] === "function") {
+            events[token.value](token.value);
+        }
+    };
+
+    const consumeTags = (current) => {
+        while (l < letters.length && letters[l].tag) {
+            applyTag(letters[l], current, false);
+            l++;
+        }
+    };
+
+    const skipTags = (tokens, from) => {
+        for (let i = from; i < tokens.length; i++) {
+            if (tokens[i].tag) applyTag(tokens[i], getTime(), true);
+        }
+    };
+
+    const finish = () => {
+        isFinished = true;
+        if (clearAtEnd) {
+            textInput.text = clearedText;
+        }
+        cleanup();
+
+        invokeCallback(callback);
+    };
+
+    // Noise is rolled once per keystroke, so seeded runs do not depend on the frame rate.
+    const rollNoise = () => {
+        noise = (random() - 0.5) * 2 * Math.min(timingError, reset);
+    };
+
+    const step = () => {
+        if (isPaused) return;
+
+        if (leadingTags) {
+            leadingTags = false;
+            consumeTags(last);
+        }
+
+        const current = getTime();
+        const lLen = letters.length;
+        const delta = current - last;
+
+        if (isWaiting) {
+            if (delta >= wait || skipped) {
+                isWaiting = false;
+                skipped = false;
+                last = current;
+                if (p < pLen - 1) {
+                    textInput.text = "";
+                }
+                if (p < pLen) {
+                    letters = parseMarkup(paragraph[p], markup, unit);
+                    l = 0;
+                    consumeTags(current);
+                }
+            }
+            return;
+        }
+
+        if (typo && typo.pending.length === 0) {
+            if (delta >= backspaceTime * 0.01 / (speed * tagSpeed)) {
+                const wrong = typo.typed.pop();
+                textInput.text = textInput.text.slice(0, -wrong.length);
+                if (typo.typed.length === 0) typo = null;
+                last = current;
+            }
+            return;
+        }
+
+        if (delta >= (reset - noise) * 0.01 / (speed * tagSpeed) && l < lLen) {
+            if (!typo && unit === "character" && random() < spellErrorChance) {
+                const pending = planTypo(letters, l, random, typoModel);
+                if (pending) typo = { pending, typed: [] };
+            }
+
+            if (typo) {
+                const wrong = typo.pending.shift();
+                typo.typed.push(wrong);
+                textInput.text += wrong;
+                last = current;
+                rollNoise();
+            } else {
+                textInput.text += letters[l].text;
+
+                invokeCallback(callbackByType);
+
+                l++;
+                last = current;
+                rollNoise();
+                consumeTags(current);
+            }
+        }
+
+        if (l >= lLen) {
+            if (recover && p < pLen - 1) {
+                textInput.text += splitter;
+            }
+            
+            invokeCallback(callbackBySplitter);
+            
+            p++;
+            isWaiting = true;
+            // A trailing pause tag delays the wait.
+            last = Math.max(last, current);
+        }
+
+        if (p >= pLen) {
+            finish();
+        }
+    };
+
+    const start = () => {
+        p = 0;
+        l = 0;
+        letters = parseMarkup(paragraph[p], markup, unit);
+        last = getTime();
+        tagSpeed = 1;
+        isWaiting = false;
+        skipped = false;
+        random = seed !== null ? createRandom(seed) : Math.random;
+        typo = null;
+        rollNoise();
+        isPaused = false;
+        isFinished = false;
+        textInput.text = "";
+
+        cleanups.push(subscribeEvent(script, skipOn, () => controller.skipLine()));
+        cleanups.push(subscribeEvent(script, killOn, () => controller.kill()));
+
+        update = script.createEvent("UpdateEvent");
+        update.bind(step);
+
+        leadingTags = true;
+    };
+
+    /** @type {TypewriterController} */
+    const controller = {
+        pause() {
+            if (isPaused || isFinished) return;
+            isPaused = true;
+            pausedAt = getTime();
+        },
+        resume() {
+            if (!isPaused) return;
+            isPaused = false;
+            last += getTime() - pausedAt;
+        },
+        skipLine() {
+            if (isFinished) return;
+            if (typo) {
+                textInput.text = textInput.text.slice(0, -typo.typed.join("").length || undefined);
+                typo = null;
+            }
+            // Reveal the rest of the line, applying the tags passed over.
+            for (; l < letters.length; l++) {
+                if (letters[l].tag) applyTag(letters[l], getTime(), true);
+                else textInput.text += letters[l].text;
+            }
+            skipped = true;
+        },
+        skipAll() {
+            if (isFinished) return;
+            if (!isWaiting) skipTags(letters, l);
+            for (let i = p + (isWaiting ? 0 : 1); i < pLen; i++) {
+                skipTags(parseMarkup(paragraph[i], markup, unit), 0);
+            }
+
+            // The last line is typed after the previous one, as in a full run.
+            const previous = pLen > 1 ? stripMarkup(paragraph[pLen - 2], markup) + (recover ? splitter : "") : "";
+            textInput.text = previous + stripMarkup(paragraph[pLen - 1], markup);
+            p = pLen;
+            finish();
+        },
+        kill() {
+            isFinished = true;
+            cleanup();
+        },
+        restart() {
+            cleanup();
+            start();
+        },
+        setSpeed(multiplier) {
+            speed = Math.max(multiplier, 0.001);
+        },
+        get paragraphIndex() {
+            return Math.min(p, pLen - 1);
+        },
+        get letterIndex() {
+            return letters.slice(0, l).filter(token => !token.tag).length;
+        },
+        get isFinished() {
+            return isFinished;
+        },
+        get isPaused() {
+            return isPaused;
+        },
+    };
+
+    start();
+
+    return controller;
+}
+
+/**
+ * Controls a running text effect.
+ * @typedef {Object} TextEffectController
+ * @property {function(): void} pause - Freezes the effect.
+ * @property {function(): void} resume - Continues the effect after a pause.
+ * @property {function(): void} skipAll - Jumps to the final text and calls `callback`.
+ * @property {function(): void} kill - Stops the effect where it is and removes its events. `callback` is not called.
+ * @property {function(): void} restart - Plays the effect again from the start.
+ * @property {boolean} isFinished - Whether the effect finished, was skipped or was killed. Read-only.
+ * @property {boolean} isPaused - Whether the effect is paused. Read-only.
+ */
+
+/**
+ * @typedef {Object} TextEffectOptions
+ * @property {number} [duration=1] - Time in seconds for the whole effect.
+ * @property {EaseFunction} [easeFunction] - Easing applied to the progression. Defaults to linear.
+ * @property {EventNameKeys | InteractionComponentMethod | ColliderComponentMethod | Signal} [skipOn=null] - Event name, interaction object or `Signal` that jumps to the end.
+ * @property {EventNameKeys | InteractionComponentMethod | ColliderComponentMethod | Signal} [killOn=null] - Event name, interaction object or `Signal` that stops the effect.
+ * @property {Function} [callback=null] - Called once the effect is finished.
+ * @property {Function} [callbackByType=null] - Called once per character that settles or is erased, or each time the number changes.
+ * Easings that overshoot do not call it again for characters already counted in the same run.
+ * @property {Function} [callbackBySplitter=null] - Called once per line that finishes settling or is fully erased.
+ * `rollingNumber` has a single line, so it calls it once when the effect completes.
+ * @property {string} [splitter="\n"] - The line separator, as in `typewriter`.
+ */
+
+/**
+ * Drives a text effect with a SOGT on the script's `TweenManager`.
+ * `render` receives the eased progression and writes the text.
+ * `onStart` runs before each (re)start and `onFinish` once the effect completes or is skipped, before `callback`.
+ * @private
+ * @param {ScriptComponent} script
+ * @param {TextEffectOptions} options
+ * @param {function(number): void} render
+ * @param {{onStart?: Function, onFinish?: Function}} [hooks]
+ * @returns {TextEffectController}
+ */
+function runTextEffect(script, {
+    duration = 1,
+    easeFunction = EasingFunctions.Linear.InOut,
+    skipOn = null,
+    killOn = null,
+    callback = null,
+}, render, {onStart = null, onFinish = null} = {}) {
+    const tween = new SOGT();
+    tween.duration = duration;
+    tween.easeFunction = easeFunction;
+
+    let cleanups = [];
+    let isFinished = false;
+
+    const cleanup = () => {
+        cleanups.forEach(fn => fn());
+        cleanups = [];
+        tween.kill();
+    };
+
+    const finish = () => {
+        isFinished = true;
+        cleanup();
+        invokeCallback(onFinish);
+        invokeCallback(callback);
+    };
+
+    const start = () => {
+        isFinished = false;
+        tween.reset();
+        invokeCallback(onStart);
+        render(tween.easeFunction(0));
+
+        cleanups.push(subscribeEvent(script, skipOn, () => controller.skipAll()));
+        cleanups.push(subscribeEvent(script, killOn, () => controller.kill()));
+        tween.start(script, { onUpdate: render, callback: finish });
+    };
+
+    /** @type {TextEffectController} */
+    const controller = {
+        pause() {
+            tween.pause();
+        },
+        resume() {
+            tween.resume();
+        },
+        skipAll() {
+            if (isFinished) return;
+            render(1);
+            finish();
+        },
+        kill() {
+            isFinished = true;
+            cleanup();
+        },
+        restart() {
+            cleanup();
+            start();
+        },
+        get isFinished() {
+            return isFinished;
+        },
+        get isPaused() {
+            return tween.isPaused;
+        },
+    };
+
+    start();
+
+    return controller;
+}
+
+/**
+ * Reveals text with a "decode" effect: characters show random glyphs and settle on the final text from left to right.
+ *
+ * @param {string | Text} text - A string or an object with a `text` property to animate.
+ * @param {ScriptComponent} script - The Lens Studio script component to bind events to.
+ * @param {TextEffectOptions & { glyphs?: string, scrambleRate?: number, seed?: number | string }} [options={}]
+ * `glyphs` are the random characters shown (default: letters, digits and symbols), `scrambleRate` is the time in seconds
+ * between glyph changes (default 0.05), and `seed` makes the glyphs reproducible.
+ * @returns {TextEffectController | null} A controller for the effect, or null on invalid input.
+ *
+ * @example
+ * decode(titleText, script, { duration: 1.2, easeFunction: EasingFunctions.Quadratic.Out });
+ */
+function decode(text, script, {
+    glyphs = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789#$%&*+<>?/",
+    scrambleRate = 0.05,
+    seed = null,
+    callbackByType = null,
+    callbackBySplitter = null,
+    splitter = "\n",
+    ...options
+} = {}) {
+    const resolved = resolveTextInput(text, script);
+    if (!resolved) return null;
+
+    const target = splitGraphemes(resolved.buffer);
+    const lines = lineBounds(resolved.buffer, splitter);
+    const pool = splitGraphemes(glyphs);
+    const random = seed !== null ? createRandom(seed) : Math.random;
+    let scrambled = [];
+    let lastScramble = -Infinity;
+    // Highest count reached in the current run, so overshooting easings do not report a character twice.
+    let settled = 0;
+
+    return runTextEffect(script, options, (k) => {
+        const count = Math.floor(MathUtils.clamp(k, 0, 1) * target.length);
+        const finishedLines = lines.filter(line => line.end > settled && line.end <= count);
+        for (let i = settled; i < count; i++) {
+            invokeCallback(callbackByType);
+        }
+        settled = Math.max(settled, count);
+
+        const now = getTime();
+        if (now - lastScramble >= scrambleRate || scrambled.length !== target.length) {
+            lastScramble = now;
+            scrambled = target.map(ch => /\s/.test(ch) ? ch : pool[Math.floor(random() * pool.length)]);
+        }
+
+        resolved.input.text = target.slice(0, count).concat(scrambled.slice(count)).join("");
+        finishedLines.forEach(() => invokeCallback(callbackBySplitter));
+    }, {onStart: () => { settled = 0; }});
+}
+
+/**
+ * Erases text character by character from the end, the reverse of `typewriter`.
+ *
+ * @param {string | Text} text - A string or an object with a `text` property to erase.
+ * @param {ScriptComponent} script - The Lens Studio script component to bind events to.
+ * @param {TextEffectOptions & { clearedText?: string }} [options={}] - `clearedText` is set once everything is erased (default "").
+ * @returns {TextEffectController | null} A controller for the effect, or null on invalid input.
+ *
+ * @example
+ * untype(dialogueText, script, { duration: 0.4, callback: () => nextLine() });
+ */
+function untype(text, script, {
+    clearedText = "",
+    callbackByType = null,
+    callbackBySplitter = null,
+    splitter = "\n",
+    ...options
+} = {}) {
+    const resolved = resolveTextInput(text, script);
+    if (!resolved) return null;
+
+    const letters = splitGraphemes(resolved.buffer);
+    const lines = lineBounds(resolved.buffer, splitter);
+    // Lowest count reached in the current run, so overshooting easings do not report a character twice.
+    let visible = letters.length;
+
+    return runTextEffect(script, options, (k) => {
+        const count = letters.length - Math.floor(MathUtils.clamp(k, 0, 1) * letters.length);
+        // Lines are erased last to first; each one is done once the count reaches its start.
+        const erasedLines = lines.filter(line => line.start < visible && line.start >= count);
+        for (let i = count; i < visible; i++) {
+            invokeCallback(callbackByType);
+        }
+        visible = Math.min(visible, count);
+
+        resolved.input.text = count > 0 ? letters.slice(0, count).join("") : clearedText;
+        erasedLines.forEach(() => invokeCallback(callbackBySplitter));
+    }, {onStart: () => { visible = letters.length; }});
+}
+
+/**
+ * Formats a number with a fixed number of decimals and a thousands separator.
+ * @private
+ * @param {number} value
+ * @param {{ decimals: number, separator: string, decimalPoint: string }} format
+ * @returns {string}
+ */
+function formatNumber(value, {decimals, separator, decimalPoint}) {
+    const [integer, fraction] = Math.abs(value).toFixed(decimals).split(".");
+    const grouped = integer.replace(/\B(?=(\d{3})+(?!\d))/g, separator);
+    const sign = value < 0 && Number(integer + (fraction || "")) !== 0 ? "-" : "";
+    return sign + grouped + (fraction ? decimalPoint + fraction : "");
+}
+
+/**
+ * Animates a number rolling from one value to another, with formatting.
+ *
+ * @param {string | Text} text - A string or an object with a `text` property to write the number to.
+ * @param {ScriptComponent} script - The Lens Studio script component to bind events to.
+ * @param {number} from - The start value.
+ * @param {number} to - The end value.
+ * @param {TextEffectOptions & { decimals?: number, separator?: string, decimalPoint?: string, prefix?: string, suffix?: string }} [options={}]
+ * `decimals` (default 0), `separator` for thousands (default ","), `decimalPoint` (default "."), and a `prefix`/`suffix` around the number.
+ * @returns {TextEffectController | null} A controller for the effect, or null on invalid input.
+ *
+ * @example
+ * rollingNumber(scoreText, script, 0, 12500, { duration: 1.5, prefix: "$", easeFunction: EasingFunctions.Cubic.Out });
+ * // $0 … $6,250 … $12,500
+ */
+function rollingNumber(text, script, from, to, {
+    decimals = 0,
+    separator = ",",
+    decimalPoint = ".",
+    prefix = "",
+    suffix = "",
+    callbackByType = null,
+    callbackBySplitter = null,
+    ...options
+} = {}) {
+    const resolved = resolveTextInput(text, script);
+    if (!resolved) return null;
+
+    let shown = null;
+
+    return runTextEffect(script, options, (k) => {
+        const formatted = prefix + formatNumber(from + (to - from) * k, {decimals, separator, decimalPoint}) + suffix;
+        if (formatted !== shown && shown !== null) {
+            invokeCallback(callbackByType);
+        }
+        shown = formatted;
+
+        resolved.input.text = formatted;
+    }, {onFinish: callbackBySplitter});
+}
+
+/**
+ * Flattens a hierarchical object structure into a flat map or array.
+ *
+ * If `result` is an object, the function creates a key-value map using the `name` property of each node.
+ * If `result` is an array, the function pushes each node sequentially.
+ * In map mode, objects with the same name overwrite each other; `HierarchyQuery.find` keeps every match.
+ *
+ * @param {Object} parent - The root object of the hierarchy. Should have a `name` and `children` array.
+ * @param {Object.<string, Object>|Object[]} [result={}] - The target object or array to accumulate results into.
+ * @returns {Object.<string, Object>|Object[]} The flattened hierarchy as a map or array.
+ *
+ * @example
+ * const tree = {
+ *   name: "root",
+ *   children: [
+ *     { name: "child1", children: [] },
+ *     { name: "child2", children: [] }
+ *   ]
+ * };
+ * 
+ * const flat = flattenObjectHierarchy(tree); // Returns { root: {...}, child1: {...}, child2: {...} }
+ */
+function flattenObjectHierarchy(parent, result = {}) {
+    if(typeof result === "object" && result !== null && !Array.isArray(result)) {
+        result[parent.name] = parent;
+    } else {
+        result.push(parent);
+    }
+
+    for (const child of parent.children) {
+        flattenObjectHierarchy(child, result);
+    }
+
+    return result;
+}
+
+/**
+ * Creates a wrapper function that ensures the wrapped function is called only once.
+ * Subsequent calls return undefined until the wrapper is reset.
+ *
+ * @template {any[]} TArgs
+ * @template TResult
+ * @param {(...args: TArgs) => TResult} fn - The function to call only once.
+ * @returns {((...args: TArgs) => TResult | undefined) & { reset: () => void }}
+ */
+function singleCall(fn) {
+    let called = false;
+
+    function wrapper(...args) {
+        if (!called) {
+            called = true;
+            return fn.apply(this, args);
+        }
+    }
+
+    wrapper.reset = () => {
+        called = false;
+    };
+
+    return wrapper;
+}
+
+/**
+ * Converts a 3-digit (#RGB), 4-digit (#RGBA), 6-digit (#RRGGBB) or 8-digit (#RRGGBBAA) hex color string
+ * into a normalized vec3 or vec4 color vector.
+ *
+ * @param {string} [hex=""] - The hex color string. May start with '#'.
+ * @param {boolean} [inVec4=true] - Whether to return a vec4 (RGBA) or vec3 (RGB). If alpha is not given, defaults to 1.
+ * @returns {vec3|vec4} The normalized color vector with components in [0, 1].
+ *                      Returns magenta (1, 0, 1) or (1, 0, 1, 1) on invalid input.
+ *
+ * @example
+ * convertHex("#FF8800");       // → vec4(1, 0.533, 0, 1)
+ * convertHex("3366CC", false); // → vec3(0.2, 0.4, 0.8)
+ * convertHex("#F8C4", true);   // → vec4(1, 0.533, 0.8, 0.266)
+ * convertHex("#FF880080");     // → vec4(1, 0.533, 0, 0.502)
+ * convertHex("HEX");        // → vec4(1, 0, 1, 1) with error printed
+ */
+function convertHex(hex = "", inVec4 = true) {
+    const rgba = parseHex(hex);
+    if (rgba) {
+        return inVec4 ? new vec4(rgba[0], rgba[1], rgba[2], rgba[3]) : new vec3(rgba[0], rgba[1], rgba[2]);
+    }
+
+    print(`Error: invalid hex "${hex}"`);
+    return inVec4 ? new vec4(1, 0, 1, 1) : new vec3(1, 0, 1);
+}
+//#endregion
+
+//#region <SOGT CLASS>
+/**
+ * A function that takes a number `k` from 0 to 1 and returns an eased number.
+ * @callback EaseFunction
+ * @param {number} k - A number between 0 and 1.
+ * @returns {number} - Eased output.
+ */
+
+/**
+ * Easing function group with `In`, `Out`, and `InOut` variants.
+ * @typedef {Object} EaseGroup
+ * @property {EaseFunction} [In]
  * @property {EaseFunction} [Out]
  * @property {EaseFunction} [InOut]
  */
 
 /**
- * Collection of easing functions for interpolation.
- * @namespace
- * @property {EaseGroup} Linear
- * @property {EaseGroup} Quadratic
- * @property {EaseGroup} Cubic
- * @property {EaseGroup} Quartic
- * @property {EaseGroup} Quintic
- * @property {EaseGroup} Sinusoidal
- * @property {EaseGroup} Exponential
- * @property {EaseGroup} Circular
- * @property {EaseGroup} Elastic
- * @property {EaseGroup} Back
- * @property {EaseGroup} Bounce
+ * Collection of easing functions for interpolation.
+ * @namespace
+ * @property {EaseGroup} Linear
+ * @property {EaseGroup} Quadratic
+ * @property {EaseGroup} Cubic
+ * @property {EaseGroup} Quartic
+ * @property {EaseGroup} Quintic
+ * @property {EaseGroup} Sinusoidal
+ * @property {EaseGroup} Exponential
+ * @property {EaseGroup} Circular
+ * @property {EaseGroup} Elastic
+ * @property {EaseGroup} Back
+ * @property {EaseGroup} Bounce
+ */
+
+const EasingFunctions = {
+    Linear: {
+        InOut: function (k) {
+            return k;
+        },
+    },
+    Quadratic: {
+        In: function (k) {
+            return k * k;
+        },
+        Out: function (k) {
+            return k * (2 - k);
+        },
+        InOut: function (k) {
+            if ((k *= 2) < 1) {
+                return 0.5 * k * k;
+            }
+            return -0.5 * (--k * (k - 2) - 1);
+        },
+    },
+    Cubic: {
+        In: function (k) {
+            return k * k * k;
+        },
+        Out: function (k) {
+            return --k * k * k + 1;
+        },
+        InOut: function (k) {
+            if ((k *= 2) < 1) {
+                return 0.5 * k * k * k;
+            }
+            return 0.5 * ((k -= 2) * k * k + 2);
+        },
+    },
+    Quartic: {
+        In: function (k) {
+            return k * k * k * k;
+        },
+        Out: function (k) {
+            return 1 - --k * k * k * k;
+        },
+        InOut: function (k) {
+            if ((k *= 2) < 1) {
+                return 0.5 * k * k * k * k;
+            }
+            return -0.5 * ((k -= 2) * k * k * k - 2);
+        },
+    },
+    Quintic: {
+        In: function (k) {
+            return k * k * k * k * k;
+        },
+        Out: function (k) {
+            return --k * k * k * k * k + 1;
+        },
+        InOut: function (k) {
+            if ((k *= 2) < 1) {
+                return 0.5 * k * k * k * k * k;
+            }
+            return 0.5 * ((k -= 2) * k * k * k * k + 2);
+        },
+    },
+    Sinusoidal: {
+        In: function (k) {
+            return 1 - Math.cos((k * Math.PI) / 2);
+        },
+        Out: function (k) {
+            return Math.sin((k * Math.PI) / 2);
+        },
+        InOut: function (k) {
+            return 0.5 * (1 - Math.cos(Math.PI * k));
+        },
+    },
+    Exponential: {
+        In: function (k) {
+            return k == 0 ? 0 : Math.pow(1024, k - 1);
+        },
+        Out: function (k) {
+            return k == 1 ? 1 : 1 - Math.pow(2, -10 * k);
+        },
+        InOut: function (k) {
+            if (k == 0) {
+                return 0;
+            }
+            if (k == 1) {
+                return 1;
+            }
+            if ((k *= 2) < 1) {
+                return 0.5 * Math.pow(1024, k - 1);
+            }
+            return 0.5 * (-Math.pow(2, -10 * (k - 1)) + 2);
+        },
+    },
+    Circular: {
+        In: function (k) {
+            return 1 - Math.sqrt(1 - k * k);
+        },
+        Out: function (k) {
+            return Math.sqrt(1 - --k * k);
+        },
+        InOut: function (k) {
+            if ((k *= 2) < 1) {
+                return -0.5 * (Math.sqrt(1 - k * k) - 1);
+            }
+            return 0.5 * (Math.sqrt(1 - (k -= 2) * k) + 1);
+        },
+    },
+    Elastic: {
+        In: function (k) {
+            if (k == 0) {
+                return 0;
+            }
+            if (k == 1) {
+                return 1;
+            }
+            return (
+                -Math.pow(2, 10 * (k - 1)) *
+                Math.sin((k - 1.1) * 5 * Math.PI)
+            );
+        },
+        Out: function (k) {
+            if (k == 0) {
+                return 0;
+            }
+            if (k == 1) {
+                return 1;
+            }
+            return (
+                Math.pow(2, -10 * k) *
+                    Math.sin((k - 0.1) * 5 * Math.PI) +
+                1
+            );
+        },
+        InOut: function (k) {
+            if (k == 0) {
+                return 0;
+            }
+            if (k == 1) {
+                return 1;
+            }
+            k *= 2;
+            if (k < 1) {
+                return (
+                    -0.5 *
+                    Math.pow(2, 10 * (k - 1)) *
+                    Math.sin((k - 1.1) * 5 * Math.PI)
+                );
+            }
+            return (
+                0.5 *
+                    Math.pow(2, -10 * (k - 1)) *
+                    Math.sin((k - 1.1) * 5 * Math.PI) +
+                1
+            );
+        },
+    },
+    Back: {
+        In: function (k) {
+            var s = 1.70158;
+            return k * k * ((s + 1) * k - s);
+        },
+        Out: function (k) {
+            var s = 1.70158;
+            return --k * k * ((s + 1) * k + s) + 1;
+        },
+        InOut: function (k) {
+            var s = 1.70158 * 1.525;
+            if ((k *= 2) < 1) {
+                return 0.5 * (k * k * ((s + 1) * k - s));
+            }
+            return 0.5 * ((k -= 2) * k * ((s + 1) * k + s) + 2);
+        },
+    },
+    Bounce: {
+        In: function (k) {
+            return 1 - Bounce(1 - k);
+        },
+        Out: function (k) {
+            return Bounce(k)
+        },
+        InOut: function (k) {
+            if (k < 0.5) {
+                return Bounce(k * 2) * 0.5;
+            }
+            return Bounce(k * 2 - 1) * 0.5 + 0.5;
+        },
+    },
+};
+
+function Bounce (k) {
+    if (k < 1 / 2.75) {
+        return 7.5625 * k * k;
+    } else if (k < 2 / 2.75) {
+        return 7.5625 * (k -= 1.5 / 2.75) * k + 0.75;
+    } else if (k < 2.5 / 2.75) {
+        return 7.5625 * (k -= 2.25 / 2.75) * k + 0.9375;
+    } else {
+        return 7.5625 * (k -= 2.625 / 2.75) * k + 0.984375;
+    }
+}; 
+
+/**
+ * Factories that return configurable easing functions.
+ * Every returned function can be assigned to `SOGT.easeFunction` like the ones in `EasingFunctions`.
+ * @namespace
+ */
+const EasingFactories = {
+    /**
+     * Creates a CSS-style `cubic-bezier(x1, y1, x2, y2)` easing.
+     * `x1` and `x2` are clamped to [0, 1], as in CSS.
+     *
+     * @param {number} x1 - X of the first control point.
+     * @param {number} y1 - Y of the first control point.
+     * @param {number} x2 - X of the second control point.
+     * @param {number} y2 - Y of the second control point.
+     * @returns {EaseFunction}
+     *
+     * @example
+     * anim.easeFunction = EasingFactories.cubicBezier(0.25, 0.1, 0.25, 1); // CSS "ease"
+     */
+    cubicBezier: function (x1, y1, x2, y2) {
+        x1 = MathUtils.clamp(x1, 0, 1);
+        x2 = MathUtils.clamp(x2, 0, 1);
+
+        const cx = 3 * x1;
+        const bx = 3 * (x2 - x1) - cx;
+        const ax = 1 - cx - bx;
+        const cy = 3 * y1;
+        const by = 3 * (y2 - y1) - cy;
+        const ay = 1 - cy - by;
+
+        const sampleX = (t) => ((ax * t + bx) * t + cx) * t;
+        const sampleY = (t) => ((ay * t + by) * t + cy) * t;
+        const slopeX = (t) => (3 * ax * t + 2 * bx) * t + cx;
+
+        // Newton-Raphson first, bisection when the slope is too flat to converge.
+        const solveT = (x) => {
+            let t = x;
+            for (let i = 0; i < 8; i++) {
+                const error = sampleX(t) - x;
+                if (Math.abs(error) < 1e-6) return t;
+                const slope = slopeX(t);
+                if (Math.abs(slope) < 1e-6) break;
+                t -= error / slope;
+            }
+
+            let lo = 0;
+            let hi = 1;
+            t = x;
+            for (let i = 0; i < 32 && hi - lo > 1e-6; i++) {
+                if (sampleX(t) < x) lo = t;
+                else hi = t;
+                t = (lo + hi) / 2;
+            }
+            return t;
+        };
+
+        return function (k) {
+            if (k <= 0 || k >= 1) {
+                return k;
+            }
+            return sampleY(solveT(k));
+        };
+    },
+
+    /**
+     * Creates a stepped easing, like CSS `steps(n, jumpMode)`.
+     *
+     * @param {number} n - The number of steps.
+     * @param {"start" | "end" | "none" | "both" | "jump-start" | "jump-end" | "jump-none" | "jump-both"} [jumpMode="end"]
+     * Where the jumps happen: at the start of each step, at the end, at neither end, or at both ends.
+     * @returns {EaseFunction}
+     *
+     * @example
+     * anim.easeFunction = EasingFactories.steps(8); // 8 discrete frames
+     */
+    steps: function (n, jumpMode = "end") {
+        const mode = jumpMode.replace(/^jump-/, "");
+        n = Math.max(mode === "none" ? 2 : 1, Math.floor(n));
+
+        const jumps = mode === "both" ? n + 1 : mode === "none" ? n - 1 : n;
+        const jumpAtStart = mode === "start" || mode === "both";
+
+        return function (k) {
+            let step = Math.floor(k * n);
+            if (jumpAtStart) step += 1;
+            if (k >= 0 && step < 0) step = 0;
+            if (k <= 1 && step > jumps) step = jumps;
+            return step / jumps;
+        };
+    },
+
+    /**
+     * Creates an `Elastic` easing group with a configurable amplitude and period.
+     * The defaults match `EasingFunctions.Elastic`.
+     *
+     * @param {Object} [options={}]
+     * @param {number} [options.amplitude=1] - Height of the oscillation. Values below 1 are raised to 1.
+     * @param {number} [options.period=0.4] - Length of one oscillation, as a fraction of the tween.
+     * @returns {EaseGroup}
+     *
+     * @example
+     * anim.easeFunction = EasingFactories.elastic({ amplitude: 1.5, period: 0.3 }).Out;
+     */
+    elastic: function ({ amplitude = 1, period = 0.4 } = {}) {
+        const a = Math.max(1, amplitude);
+        const s = (period / (2 * Math.PI)) * Math.asin(1 / a);
+        const w = (2 * Math.PI) / period;
+
+        return {
+            In: function (k) {
+                if (k == 0) {
+                    return 0;
+                }
+                if (k == 1) {
+                    return 1;
+                }
+                return -a * Math.pow(2, 10 * (k - 1)) * Math.sin((k - 1 - s) * w);
+            },
+            Out: function (k) {
+                if (k == 0) {
+                    return 0;
+                }
+                if (k == 1) {
+                    return 1;
+                }
+                return a * Math.pow(2, -10 * k) * Math.sin((k - s) * w) + 1;
+            },
+            InOut: function (k) {
+                if (k == 0) {
+                    return 0;
+                }
+                if (k == 1) {
+                    return 1;
+                }
+                k *= 2;
+                if (k < 1) {
+                    return -0.5 * a * Math.pow(2, 10 * (k - 1)) * Math.sin((k - 1 - s) * w);
+                }
+                return 0.5 * a * Math.pow(2, -10 * (k - 1)) * Math.sin((k - 1 - s) * w) + 1;
+            },
+        };
+    },
+
+    /**
+     * Creates a `Back` easing group with a configurable overshoot.
+     * The default matches `EasingFunctions.Back`.
+     *
+     * @param {Object} [options={}]
+     * @param {number} [options.overshoot=1.70158] - How far the curve pulls back; 0 removes the overshoot.
+     * @returns {EaseGroup}
+     *
+     * @example
+     * anim.easeFunction = EasingFactories.back({ overshoot: 3 }).Out;
+     */
+    back: function ({ overshoot = 1.70158 } = {}) {
+        const s = overshoot;
+        const s2 = overshoot * 1.525;
+
+        return {
+            In: function (k) {
+                return k * k * ((s + 1) * k - s);
+            },
+            Out: function (k) {
+                return --k * k * ((s + 1) * k + s) + 1;
+            },
+            InOut: function (k) {
+                if ((k *= 2) < 1) {
+                    return 0.5 * (k * k * ((s2 + 1) * k - s2));
+                }
+                return 0.5 * ((k -= 2) * k * ((s2 + 1) * k + s2) + 2);
+            },
+        };
+    },
+
+    /**
+     * Creates a `Bounce` easing group with a configurable number of bounces and restitution.
+     * The defaults match the `In` and `Out` curves of `EasingFunctions.Bounce`.
+     *
+     * @param {Object} [options={}]
+     * @param {number} [options.bounces=3] - The number of bounces after the first impact.
+     * @param {number} [options.restitution=0.5] - Fraction of speed kept on each impact, between 0 and 1.
+     * @returns {EaseGroup}
+     *
+     * @example
+     * anim.easeFunction = EasingFactories.bounce({ bounces: 5, restitution: 0.6 }).Out;
+     */
+    bounce: function ({ bounces = 3, restitution = 0.5 } = {}) {
+        const e = MathUtils.clamp(restitution, 0, 1);
+        const n = Math.max(0, Math.floor(bounces));
+
+        // Time is measured in units of the initial fall; each arc lasts twice its launch speed.
+        let total = 1;
+        for (let i = 1; i <= n; i++) {
+            total += 2 * Math.pow(e, i);
+        }
+
+        const bounceOut = function (k) {
+            let t = k * total;
+            if (t < 1 || n === 0) {
+                return Math.min(t * t, 1);
+            }
+            t -= 1;
+            for (let i = 1; i <= n; i++) {
+                const half = Math.pow(e, i);
+                if (t < 2 * half || i === n) {
+                    const u = t - half;
+                    return 1 - (half * half - u * u);
+                }
+                t -= 2 * half;
+            }
+            return 1;
+        };
+
+        return {
+            In: function (k) {
+                return 1 - bounceOut(1 - k);
+            },
+            Out: bounceOut,
+            InOut: function (k) {
+                if (k < 0.5) {
+                    return (1 - bounceOut(1 - k * 2)) * 0.5;
+                }
+                return bounceOut(k * 2 - 1) * 0.5 + 0.5;
+            },
+        };
+    },
+};
+
+//
+/** @private */ const time = Symbol("time");
+/** @private */ const flow = Symbol("flow");
+/** @private */ const cycle = Symbol("cycle");
+/** @private */ const loopSymbol = Symbol("loop");
+/** @private */ const progressionSymbol = Symbol("progression");
+/** @private */ const isPausedSymbol = Symbol("isPaused");
+/** @private */ const isReversedSymbol = Symbol("isReversed");
+
+/** @private */ const managerSymbol = Symbol("manager");
+
+/** @private */ const delayElapsed = Symbol("delayElapsed");
+/** @private */ const holdElapsed = Symbol("holdElapsed");
+/** @private */ const wrapPending = Symbol("wrapPending");
+/** @private */ const pendingCycles = Symbol("pendingCycles");
+/** @private */ const advanceSymbol = Symbol("advance");
+/** @private */ const shownCycle = Symbol("shownCycle");
+/** @private */ const shownProgress = Symbol("shownProgress");
+
+/** @private */ const animCallbackCalled = Symbol("cycle");
+
+/**
+ * @module SOGT
+ */
+
+/**
+ * Tweening controller supporting loops, ping-pong, and easing.
+ * @class
+ */
+class SOGT{
+    /** @constructor */
+    constructor(){
+        this[time] = 0;
+        this[flow] = 1;
+        this[cycle] = 0;
+        this[loopSymbol] = 1;
+        this[progressionSymbol] = 0;
+        this[isPausedSymbol] = false;
+        this[isReversedSymbol] = false;
+
+        this[delayElapsed] = 0;
+        this[holdElapsed] = 0;
+        this[wrapPending] = false;
+        this[pendingCycles] = 0;
+
+        this[animCallbackCalled] = false;
+        this[managerSymbol] = null;
+
+        /**
+         * @readonly
+         * @type {number}
+         */
+        this.cycleIndex = 0;
+        /**
+         * @readonly
+         * @type {number}
+         */
+        this.progression = 0;
+        /**
+         * @readonly
+         * @type {boolean}
+         */
+        this.isPaused = false;
+        /**
+         * @readonly
+         * @type {boolean}
+         */
+        this.isReversed = false;
+        
+        /** @type {number} */
+        this.duration = 1;
+        /**
+         * The easing function applied to progression.
+         * Replace with any function from `EasingFunctions`.
+         * 
+         * @example
+         * anim.easeFunction = EasingFunctions.Quadratic.InOut;
+         * 
+         * @type {EaseFunction}
+         */
+        this.easeFunction = EasingFunctions.Linear.InOut;
+        /** @type {number} */
+        this.loop = 1;
+        /** @type {boolean} */
+        this.pingpong = false;
+        /**
+         * Playback speed multiplier. 0.5 plays at half speed; negative values are treated as 0.
+         * @type {number}
+         */
+        this.timeScale = 1;
+        /**
+         * Time in seconds to wait before the first cycle starts.
+         * @type {number}
+         */
+        this.delay = 0;
+        /**
+         * Time in seconds to hold at the end of each cycle before the next one starts.
+         * @type {number}
+         */
+        this.hold = 0;
+        
+        Object.defineProperty(this, "loop", {
+            get(){
+                return this[loopSymbol];
+            },
+            set(loopCount){
+                this[loopSymbol] = loopCount < 1 ? Infinity : loopCount;
+            }
+        })
+
+        Object.defineProperty(this, "cycleIndex", {
+            get(){
+                return this[cycle];
+            },
+        })
+
+        Object.defineProperty(this, "progression", {
+            get(){
+                return this[progressionSymbol];
+            },
+        })
+
+        Object.defineProperty(this, "isPaused", {
+            get(){
+                return this[isPausedSymbol];
+            },
+        })
+
+        Object.defineProperty(this, "isReversed", {
+            get(){
+                return this[isReversedSymbol];
+            },
+        })
+    }
+
+    /**
+     * Advances the animation based on time delta.
+     * Handles easing, looping, ping-pong, delay, hold times, and calls appropriate callbacks.
+     * Cycle boundaries crossed by `seek()` or `setProgress()` are reported on the next call.
+     * 
+     * @param {Object} [options] - Play control options.
+     * @param {function(): void} [options.cycleCallback] - Called at the end of each loop cycle.
+     * @param {function(): void} [options.callback] - Called when all cycles finish.
+     * @param {EaseFunction} [options.easeFunction] - Overrides current ease function for this play call.
+     * @returns {number} - Eased progression from 0 to 1.
+     */
+    play({
+        cycleCallback = function(){},
+        callback = function(){},
+        easeFunction = null,
+    } = {}){
+        this[advanceSymbol]((this[isPausedSymbol] ? 0 : 1) * Math.max(0, this.timeScale) * getDeltaTime());
+
+        // Callbacks
+        const crossed = this[pendingCycles];
+        this[pendingCycles] = 0;
+        if (this[loopSymbol] !== 1) {
+            for (let i = 0; i < crossed; i++) {
+                cycleCallback();
+            }
+        }
+
+        if (crossed > 0 && !this[animCallbackCalled] && this[cycle] >= this[loopSymbol]) {
+            this[animCallbackCalled] = true;
+            callback();
+        }
+
+        if(easeFunction) this.easeFunction = easeFunction; 
+
+        return this.easeFunction(this[shownProgress]());
+    }
+
+    /**
+     * Jumps to a point in time, measured from the start of the first cycle and ignoring `delay` and `hold`.
+     * Cycle boundaries crossed forward are reported to `cycleCallback` and `callback` on the next `play()`.
+     *
+     * @param {number} seconds - Time in seconds, clamped to the total length of all loops.
+     *
+     * @example
+     * anim.seek(anim.duration * 2.5); // Middle of the third cycle
+     */
+    seek(seconds) {
+        const total = this.duration * this[loopSymbol];
+        const t = MathUtils.clamp(seconds, 0, total);
+        const previous = this[cycle];
+
+        let index = this.duration > 0 ? Math.floor(t / this.duration) : this[loopSymbol];
+        if (index >= this[loopSymbol]) {
+            index = this[loopSymbol];
+            this[time] = this[flow] < 0 ? 0 : this.duration;
+        } else {
+            this[time] = t - index * this.duration;
+        }
+
+        this[cycle] = index;
+        this[delayElapsed] = this.delay;
+        this[holdElapsed] = 0;
+        this[wrapPending] = false;
+        this[progressionSymbol] = this.duration > 0 ? MathUtils.clamp(this[time] / this.duration, 0, 1) : 1;
+
+        if (index > previous) {
+            this[pendingCycles] += index - previous;
+        } else if (index < this[loopSymbol]) {
+            this[pendingCycles] = 0;
+            this[animCallbackCalled] = false;
+        }
+    }
+
+    /**
+     * Jumps to a progression within the current cycle.
+     * @param {number} p - Progression from 0 to 1.
+     *
+     * @example
+     * anim.setProgress(0.4); // Sync with audio at 40%
+     */
+    setProgress(p) {
+        const index = Math.min(this[shownCycle](), this[loopSymbol] - 1);
+        this.seek((index + MathUtils.clamp(p, 0, 1)) * this.duration);
+    }
+
+    /**
+     * Consumes time: delay first, then the current cycle, holding and wrapping at every boundary.
+     * @private
+     * @param {number} dt - Scaled time delta in seconds.
+     */
+    [advanceSymbol](dt) {
+        if (this[delayElapsed] < this.delay) {
+            const used = Math.min(this.delay - this[delayElapsed], dt);
+            this[delayElapsed] += used;
+            dt -= used;
+        }
+
+        // Leftovers below the epsilon are floating point noise from summed frame deltas.
+        while (dt > 1e-9) {
+            const end = this[flow] > 0 ? this.duration : 0;
+            if (this[cycle] >= this[loopSymbol] && this[time] === end) break;
+
+            if (this[wrapPending]) {
+                const used = Math.min(this.hold - this[holdElapsed], dt);
+                this[holdElapsed] += used;
+                dt -= used;
+                if (this[holdElapsed] < this.hold) break;
+
+                this[wrapPending] = false;
+                this[holdElapsed] = 0;
+                this[time] = this[flow] > 0 ? 0 : this.duration;
+            }
+
+            const remaining = Math.abs(end - this[time]);
+            if (dt < remaining) {
+                this[time] += this[flow] * dt;
+                break;
+            }
+
+            dt -= remaining;
+            this[time] = end;
+            this[pendingCycles] += 1;
+            if (this[cycle] < this[loopSymbol]) this[cycle] += 1;
+            if (this[cycle] < this[loopSymbol]) this[wrapPending] = true;
+        }
+
+        this[progressionSymbol] = this.duration > 0 ? MathUtils.clamp(this[time] / this.duration, 0, 1) : 1;
+    }
+
+    /**
+     * The cycle whose progression is shown; at a boundary it is the one that just completed.
+     * @private
+     * @returns {number}
+     */
+    [shownCycle]() {
+        return this[wrapPending] || this[cycle] >= this[loopSymbol] ? this[cycle] - 1 : this[cycle];
+    }
+
+    /**
+     * The progression of the shown cycle, mirrored on odd ping-pong cycles.
+     * @private
+     * @returns {number}
+     */
+    [shownProgress]() {
+        if (this.pingpong && this[shownCycle]() % 2 !== 0) {
+            return 1 - this[progressionSymbol];
+        }
+        return this[progressionSymbol];
+    }
+
+    /**
+     * Toggles the paused state of the animation timer.
+     */
+    pauseResume() {
+        this[isPausedSymbol] = !this[isPausedSymbol];
+    }
+
+    /**
+     * Pauses the animation timer.
+     */
+    pause() {
+        this[isPausedSymbol] = true;
+    }
+
+    /**
+     * Resumes the animation timer.
+     */
+    resume() {
+        this[isPausedSymbol] = false;
+    }
+
+    /**
+     * Registers the tween with the `TweenManager` of the given script, which plays it every frame.
+     * Shorthand for `TweenManager.forScript(script).start(tween, options)`.
+     *
+     * @param {ScriptComponent} script - The script component whose update event drives the tween.
+     * @param {TweenStartOptions} [options] - Play callbacks.
+     * @returns {this} The tween, for chaining.
+     */
+    start(script, options) {
+        TweenManager.forScript(script).start(this, options);
+        return this;
+    }
+
+    /**
+     * Stops the tween and removes it from its `TweenManager`. Callbacks are not called.
+     */
+    kill() {
+        if (this[managerSymbol]) {
+            this[managerSymbol].kill(this);
+        }
+    }
+
+    /**
+     * Reset the timer to the initial state.
+     */
+    reset() {
+        this[time] = 0;
+        this[flow] = 1;
+        this[cycle] = 0;
+        this[progressionSymbol] = 0;
+        this[isPausedSymbol] = false;
+        this[isReversedSymbol] = false;
+
+        this[delayElapsed] = 0;
+        this[holdElapsed] = 0;
+        this[wrapPending] = false;
+        this[pendingCycles] = 0;
+        this[animCallbackCalled] = false;
+    }
+
+    /**
+     * Reverse the direction of the timer.
+     */
+    reverse(){
+        this[flow] = -this[flow];
+        this[isReversedSymbol] = this[flow] < 0;
+
+        // Turning around on a boundary continues the cycle that just completed instead of starting a new one.
+        if (this[wrapPending]) {
+            this[wrapPending] = false;
+            this[holdElapsed] = 0;
+            this[cycle] -= 1;
+        }
+
+        this[animCallbackCalled] = false;
+    }
+}
+
+/**
+ * A value that can be interpolated by `interpolate` and `ValueTween`.
+ * Hex strings are converted with `convertHex`.
+ * @typedef {number | vec2 | vec3 | vec4 | quat | string} TweenValue
+ */
+
+/**
+ * Interpolates between two values of the same type.
+ * Numbers and vectors are interpolated per component, quaternions use spherical interpolation.
+ * `t` is not clamped, so overshooting easings such as `Back` or `Elastic` extrapolate past `to`.
+ *
+ * @param {TweenValue} from - The value at `t = 0`.
+ * @param {TweenValue} to - The value at `t = 1`.
+ * @param {number} t - Interpolation factor, usually an eased progression.
+ * @returns {number | vec2 | vec3 | vec4 | quat} The interpolated value. Returns `from` on unsupported types.
+ *
+ * @example
+ * interpolate(0, 10, 0.5);                              // → 5
+ * interpolate(new vec3(0, 0, 0), new vec3(2, 4, 6), 0.5); // → vec3(1, 2, 3)
+ * interpolate("#000000", "#FFFFFF", 0.5);                // → vec4(0.5, 0.5, 0.5, 1)
+ */
+function interpolate(from, to, t) {
+    if (typeof from === "string") from = convertHex(from);
+    if (typeof to === "string") to = convertHex(to);
+
+    if (typeof from === "number") {
+        return from + (to - from) * t;
+    }
+    if (from instanceof quat) {
+        return quat.slerp(from, to, t);
+    }
+    if (from instanceof vec4) {
+        return new vec4(
+            from.x + (to.x - from.x) * t,
+            from.y + (to.y - from.y) * t,
+            from.z + (to.z - from.z) * t,
+            from.w + (to.w - from.w) * t
+        );
+    }
+    if (from instanceof vec3) {
+        return new vec3(
+            from.x + (to.x - from.x) * t,
+            from.y + (to.y - from.y) * t,
+            from.z + (to.z - from.z) * t
+        );
+    }
+    if (from instanceof vec2) {
+        return new vec2(
+            from.x + (to.x - from.x) * t,
+            from.y + (to.y - from.y) * t
+        );
+    }
+
+    print(`Error: cannot interpolate value "${from}"`);
+    return from;
+}
+
+/**
+ * SOGT that returns an interpolated value between `from` and `to` instead of a 0 to 1 progression.
+ * Looping, ping-pong, reverse and easing behave exactly as in `SOGT`.
+ * @class
+ * @extends SOGT
+ */
+class ValueTween extends SOGT{
+    /**
+     * @constructor
+     * @param {TweenValue} [from=0] - The start value.
+     * @param {TweenValue} [to=1] - The end value.
+     */
+    constructor(from = 0, to = 1){
+        super();
+
+        /** @type {TweenValue} */
+        this.from = from;
+        /** @type {TweenValue} */
+        this.to = to;
+    }
+
+    /**
+     * Advances the animation based on time delta and returns the interpolated value.
+     * Accepts the same options as `SOGT.play`.
+     * 
+     * @param {Object} [options] - Play control options.
+     * @param {function(): void} [options.cycleCallback] - Called at the end of each loop cycle.
+     * @param {function(): void} [options.callback] - Called when all cycles finish.
+     * @param {EaseFunction} [options.easeFunction] - Overrides current ease function for this play call.
+     * @returns {number | vec2 | vec3 | vec4 | quat} - The value between `from` and `to`.
+     */
+    play(options){
+        return this.valueAt(super.play(options));
+    }
+
+    /**
+     * Returns the value at the given eased progression without advancing the animation.
+     * @param {number} k - Eased progression, usually between 0 and 1.
+     * @returns {number | vec2 | vec3 | vec4 | quat}
+     */
+    valueAt(k){
+        return interpolate(this.from, this.to, k);
+    }
+}
+
+/** @private */ const entriesSymbol = Symbol("entries");
+/** @private */ const durationOverride = Symbol("durationOverride");
+/** @private */ const renderSymbol = Symbol("render");
+
+/**
+ * Returns the eased progression of a tween at the given time since its start, without changing its state.
+ * Honours `delay` and `hold`; infinite tweens are sampled over a single cycle.
+ * @private
+ * @param {SOGT} tween
+ * @param {number} seconds
+ * @returns {number}
+ */
+function sampleTween(tween, seconds) {
+    if (tween.duration <= 0) {
+        return tween.easeFunction(seconds >= tween.delay ? 1 : 0);
+    }
+
+    const loops = tween.loop === Infinity ? 1 : tween.loop;
+    const period = tween.duration + tween.hold;
+    const t = MathUtils.clamp(seconds - tween.delay, 0, tweenSpan(tween) - tween.delay);
+    const index = Math.min(Math.floor(t / period), loops - 1);
+
+    let progress = Math.min((t - index * period) / tween.duration, 1);
+    if (tween.pingpong && index % 2 !== 0) {
+        progress = 1 - progress;
+    }
+
+    return tween.easeFunction(progress);
+}
+
+/**
+ * Total time in seconds a tween takes when placed on a timeline, including its delay and holds.
+ * @private
+ * @param {SOGT} tween
+ * @returns {number}
+ */
+function tweenSpan(tween) {
+    const loops = tween.loop === Infinity ? 1 : tween.loop;
+    return tween.delay + tween.duration * loops + tween.hold * (loops - 1);
+}
+
+/**
+ * @typedef {Object} TimelineEntryOptions
+ * @property {number} [offset=0] - Seconds added to the computed start time. Negative values overlap the previous entry.
+ * @property {function(any): void} [onUpdate] - Receives the tween output (a `ValueTween` value or an eased progression) whenever it changes.
+ */
+
+/**
+ * Sequences and groups SOGT tweens on a single time axis.
+ * The timeline is itself a SOGT, so `loop`, `pingpong`, `easeFunction`, `reverse()`, `pauseResume()` and `reset()`
+ * apply to the whole timeline. Added tweens are sampled by the timeline and must not be played on their own;
+ * their `delay` and `hold` are respected, their `timeScale` is ignored.
+ * @class
+ * @extends SOGT
+ */
+class Timeline extends SOGT{
+    /** @constructor */
+    constructor(){
+        super();
+        this[entriesSymbol] = [];
+        this[durationOverride] = null;
+    }
+
+    /**
+     * The time in seconds for one full timeline cycle.
+     * Defaults to the end of the last entry; assigning a value stretches the timeline to that length.
+     * @type {number}
+     */
+    get duration(){
+        return this[durationOverride] !== null ? this[durationOverride] : this.span;
+    }
+
+    set duration(value){
+        this[durationOverride] = value;
+    }
+
+    /**
+     * The end time of the last entry in seconds, regardless of `duration`.
+     * @readonly
+     * @type {number}
+     */
+    get span(){
+        return this[entriesSymbol].reduce((end, entry) => Math.max(end, entry.start + tweenSpan(entry.tween)), 0);
+    }
+
+    /**
+     * Appends a tween after the current end of the timeline.
+     * @param {SOGT} tween - The tween to add.
+     * @param {TimelineEntryOptions} [options]
+     * @returns {Timeline} The timeline, for chaining.
+     *
+     * @example
+     * intro.add(slideIn, { onUpdate: v => transform.setLocalPosition(v) })
+     *      .add(fadeIn, { offset: -0.2, onUpdate: v => material.mainPass.baseColor = v });
+     */
+    add(tween, {offset = 0, onUpdate = null} = {}){
+        return this.insert(this.span + offset, tween, {onUpdate});
+    }
+
+    /**
+     * Starts a tween together with the previously added one, forming a parallel group.
+     * @param {SOGT} tween - The tween to add.
+     * @param {TimelineEntryOptions} [options]
+     * @returns {Timeline} The timeline, for chaining.
+     */
+    join(tween, {offset = 0, onUpdate = null} = {}){
+        const entries = this[entriesSymbol];
+        const start = entries.length ? entries[entries.length - 1].start : 0;
+        return this.insert(start + offset, tween, {onUpdate});
+    }
+
+    /**
+     * Places a tween at an absolute time on the timeline.
+     * @param {number} at - Start time in seconds.
+     * @param {SOGT} tween - The tween to add.
+     * @param {Object} [options]
+     * @param {function(any): void} [options.onUpdate] - Receives the tween output whenever it changes.
+     * @returns {Timeline} The timeline, for chaining.
+     */
+    insert(at, tween, {onUpdate = null} = {}){
+        this[entriesSymbol].push({
+            tween,
+            start: Math.max(0, at),
+            onUpdate,
+            lastTime: null,
+        });
+        return this;
+    }
+
+    /**
+     * Removes every entry of the given tween.
+     * @param {SOGT} tween
+     */
+    remove(tween){
+        this[entriesSymbol] = this[entriesSymbol].filter(entry => entry.tween !== tween);
+    }
+
+    /**
+     * Advances the timeline based on time delta and updates every entry.
+     * Accepts the same options as `SOGT.play`.
+     *
+     * @param {Object} [options] - Play control options.
+     * @param {function(): void} [options.cycleCallback] - Called at the end of each timeline cycle.
+     * @param {function(): void} [options.callback] - Called when all timeline cycles finish.
+     * @param {EaseFunction} [options.easeFunction] - Overrides current ease function for this play call.
+     * @returns {number} - Eased timeline progression from 0 to 1.
+     */
+    play(options){
+        if (this.duration <= 0) return 0;
+
+        const k = super.play(options);
+        this[renderSymbol](k);
+        return k;
+    }
+
+    /**
+     * Reset the timeline and all of its entries to the initial state.
+     */
+    reset(){
+        super.reset();
+        this[entriesSymbol].forEach(entry => entry.lastTime = null);
+    }
+
+    /**
+     * Updates the entries for the given eased timeline progression.
+     * Entries outside their window are clamped, so they settle on their first or last value.
+     * @private
+     * @param {number} k
+     */
+    [renderSymbol](k){
+        const localTime = k * this.span;
+
+        for (const entry of this[entriesSymbol]) {
+            const tween = entry.tween;
+            const t = MathUtils.clamp(localTime - entry.start, 0, tweenSpan(tween));
+            if (t === entry.lastTime) continue;
+            entry.lastTime = t;
+
+            const eased = sampleTween(tween, t);
+            let output = eased;
+            if (tween instanceof Timeline) {
+                tween[renderSymbol](eased);
+            } else if (typeof tween.valueAt === "function") {
+                output = tween.valueAt(eased);
+            }
+
+            if (typeof entry.onUpdate === "function") {
+                entry.onUpdate(output);
+            }
+        }
+    }
+}
+
+//#endregion
+
+//#region <SPRING CLASS>
+/** @private */ const springValue = Symbol("value");
+/** @private */ const springVelocity = Symbol("velocity");
+/** @private */ const springTarget = Symbol("target");
+/** @private */ const springTemplate = Symbol("template");
+/** @private */ const isSettledSymbol = Symbol("isSettled");
+/** @private */ const settleCallbackCalled = Symbol("settleCallbackCalled");
+
+/**
+ * A value a `Spring` can animate.
+ * @typedef {number | vec2 | vec3 | vec4} SpringValue
+ */
+
+/**
+ * Splits a number or vector into an array of its components.
+ * @private
+ * @param {SpringValue} value
+ * @returns {number[]}
+ */
+function toComponents(value) {
+    if (typeof value === "number") return [value];
+    if (value instanceof vec4) return [value.x, value.y, value.z, value.w];
+    if (value instanceof vec3) return [value.x, value.y, value.z];
+    if (value instanceof vec2) return [value.x, value.y];
+
+    print(`Error: unsupported spring value "${value}"`);
+    return [0];
+}
+
+/**
+ * Rebuilds a value of the same type as `template` from its components.
+ * @private
+ * @param {SpringValue} template
+ * @param {number[]} c
+ * @returns {SpringValue}
+ */
+function fromComponents(template, c) {
+    if (template instanceof vec4) return new vec4(c[0], c[1], c[2], c[3]);
+    if (template instanceof vec3) return new vec3(c[0], c[1], c[2]);
+    if (template instanceof vec2) return new vec2(c[0], c[1]);
+    return c[0];
+}
+
+/**
+ * Damped spring simulator. Unlike `SOGT`, the target can change at any time and the motion stays continuous,
+ * which suits interruptible UI. Works with numbers and vec2/vec3/vec4 values.
+ * @class
+ */
+class Spring{
+    /**
+     * @constructor
+     * @param {SpringValue} [value=0] - The initial value and target.
+     */
+    constructor(value = 0){
+        this[springTemplate] = value;
+        this[springValue] = toComponents(value);
+        this[springTarget] = this[springValue].slice();
+        this[springVelocity] = this[springValue].map(() => 0);
+        this[isPausedSymbol] = false;
+        this[isSettledSymbol] = true;
+        this[settleCallbackCalled] = true;
+        this[managerSymbol] = null;
+
+        /**
+         * @readonly
+         * @type {SpringValue}
+         */
+        this.value = value;
+        /**
+         * @readonly
+         * @type {SpringValue}
+         */
+        this.target = value;
+        /**
+         * @readonly
+         * @type {SpringValue}
+         */
+        this.velocity = value;
+        /**
+         * @readonly
+         * @type {boolean}
+         */
+        this.isSettled = true;
+        /**
+         * @readonly
+         * @type {boolean}
+         */
+        this.isPaused = false;
+
+        /** @type {number} */
+        this.stiffness = 170;
+        /** @type {number} */
+        this.damping = 26;
+        /** @type {number} */
+        this.mass = 1;
+        /**
+         * The spring settles once every component is closer than this to the target.
+         * @type {number}
+         */
+        this.restThreshold = 0.001;
+        /**
+         * The spring settles once every component moves slower than this, in units per second.
+         * @type {number}
+         */
+        this.velocityThreshold = 0.001;
+
+        Object.defineProperty(this, "value", {
+            get(){
+                return fromComponents(this[springTemplate], this[springValue]);
+            },
+        })
+
+        Object.defineProperty(this, "target", {
+            get(){
+                return fromComponents(this[springTemplate], this[springTarget]);
+            },
+        })
+
+        Object.defineProperty(this, "velocity", {
+            get(){
+                return fromComponents(this[springTemplate], this[springVelocity]);
+            },
+        })
+
+        Object.defineProperty(this, "isSettled", {
+            get(){
+                return this[isSettledSymbol];
+            },
+        })
+
+        Object.defineProperty(this, "isPaused", {
+            get(){
+                return this[isPausedSymbol];
+            },
+        })
+    }
+
+    /**
+     * Changes the target. The current value and velocity are kept, so the motion stays continuous.
+     * @param {SpringValue} target
+     */
+    setTarget(target){
+        this[springTarget] = toComponents(target);
+        this[isSettledSymbol] = false;
+        this[settleCallbackCalled] = false;
+    }
+
+    /**
+     * Jumps to a value and makes it the target, stopping all motion.
+     * @param {SpringValue} value
+     */
+    snapTo(value){
+        this[springTemplate] = value;
+        this[springValue] = toComponents(value);
+        this[springTarget] = this[springValue].slice();
+        this[springVelocity] = this[springValue].map(() => 0);
+        this[isSettledSymbol] = true;
+        this[settleCallbackCalled] = true;
+    }
+
+    /**
+     * Advances the simulation based on time delta. This method should be called in an `UpdateEvent` listener,
+     * or driven by `start()`.
+     *
+     * @param {Object} [options] - Play control options.
+     * @param {function(): void} [options.callback] - Called once each time the spring settles on its target.
+     * @returns {SpringValue} - The current value.
+     */
+    play({
+        callback = function(){},
+    } = {}){
+        if (!this[isPausedSymbol] && !this[isSettledSymbol]) {
+            const x = this[springValue];
+            const v = this[springVelocity];
+            const target = this[springTarget];
+
+            // Fixed sub-steps keep stiff springs stable on long frames.
+            const dt = getDeltaTime();
+            const steps = Math.max(1, Math.ceil(dt * 240));
+            const h = dt / steps;
+
+            for (let s = 0; s < steps; s++) {
+                for (let i = 0; i < x.length; i++) {
+                    const force = -this.stiffness * (x[i] - target[i]) - this.damping * v[i];
+                    v[i] += (force / this.mass) * h;
+                    x[i] += v[i] * h;
+                }
+            }
+
+            const atRest = x.every((xi, i) =>
+                Math.abs(xi - target[i]) < this.restThreshold && Math.abs(v[i]) < this.velocityThreshold
+            );
+            if (atRest) {
+                this[springValue] = target.slice();
+                this[springVelocity] = v.map(() => 0);
+                this[isSettledSymbol] = true;
+            }
+        }
+
+        if (this[isSettledSymbol] && !this[settleCallbackCalled]) {
+            this[settleCallbackCalled] = true;
+            callback();
+        }
+
+        return this.value;
+    }
+
+    /**
+     * Pauses the simulation.
+     */
+    pause() {
+        this[isPausedSymbol] = true;
+    }
+
+    /**
+     * Resumes the simulation.
+     */
+    resume() {
+        this[isPausedSymbol] = false;
+    }
+
+    /**
+     * Registers the spring with the `TweenManager` of the given script, which plays it every frame
+     * until it settles. Call it again after `setTarget()` on a settled spring.
+     *
+     * @param {ScriptComponent} script - The script component whose update event drives the spring.
+     * @param {TweenStartOptions} [options] - Play callbacks; `callback` is called when the spring settles.
+     * @returns {this} The spring, for chaining.
+     */
+    start(script, options) {
+        TweenManager.forScript(script).start(this, options);
+        return this;
+    }
+
+    /**
+     * Removes the spring from its `TweenManager`. Callbacks are not called.
+     */
+    kill() {
+        if (this[managerSymbol]) {
+            this[managerSymbol].kill(this);
+        }
+    }
+}
+
+//#endregion
+
+//#region <TWEEN MANAGER>
+/** @private */ const managers = new WeakMap();
+/** @private */ const scriptSymbol = Symbol("script");
+/** @private */ const tweensSymbol = Symbol("tweens");
+/** @private */ const updateSymbol = Symbol("update");
+
+/**
+ * @typedef {Object} TweenStartOptions
+ * @property {function(any): void} [onUpdate] - Receives the output of `play()` every frame.
+ * @property {function(): void} [cycleCallback] - Called at the end of each loop cycle.
+ * @property {function(): void} [callback] - Called when all cycles finish, right before the tween is removed.
+ * @property {EaseFunction} [easeFunction] - Overrides the tween's ease function.
+ */
+
+/**
+ * Drives any number of SOGT instances and springs from a single `UpdateEvent` per script.
+ * Tweens are removed automatically once all of their loops finish, springs once they settle.
+ * @class
+ */
+class TweenManager{
+    /**
+     * @constructor
+     * @param {ScriptComponent} script - The script component used to create the update event.
+     */
+    constructor(script){
+        this[scriptSymbol] = script;
+        /** @type {Map<SOGT | Spring, TweenStartOptions>} */
+        this[tweensSymbol] = new Map();
+        this[updateSymbol] = null;
+    }
+
+    /**
+     * Returns the shared manager of a script, creating it on first use.
+     * @param {ScriptComponent} script
+     * @returns {TweenManager}
+     */
+    static forScript(script){
+        let manager = managers.get(script);
+        if (!manager) {
+            manager = new TweenManager(script);
+            managers.set(script, manager);
+        }
+        return manager;
+    }
+
+    /**
+     * The number of registered tweens.
+     * @readonly
+     * @type {number}
+     */
+    get count(){
+        return this[tweensSymbol].size;
+    }
+
+    /**
+     * Registers a tween to be played every frame. A tween that already finished is reset first.
+     * Starting a registered tween again replaces its options.
+     * A settled spring or an empty timeline is not registered; its `callback` is called right away.
+     *
+     * @param {SOGT | Spring} tween - The tween or spring to drive.
+     * @param {TweenStartOptions} [options] - Play callbacks.
+     * @returns {SOGT | Spring} The tween.
+     *
+     * @example
+     * const manager = CustomTween.TweenManager.forScript(script);
+     * manager.start(move, {
+     *   onUpdate: (pos) => transform.setLocalPosition(pos),
+     *   callback: () => print("Arrived!"),
+     * });
+     */
+    start(tween, options = {}){
+        if (tween[managerSymbol]) {
+            tween[managerSymbol].kill(tween);
+        }
+
+        // A settled spring and an empty timeline never report finishing from play(), so they finish here.
+        const isDone = tween instanceof Spring ? tween.isSettled : tween instanceof Timeline && tween.duration <= 0;
+        if (isDone) {
+            if (typeof options.callback === "function") {
+                options.callback();
+            }
+            return tween;
+        }
+
+        if (tween.cycleIndex >= tween.loop) {
+            tween.reset();
+        }
+
+        tween[managerSymbol] = this;
+        this[tweensSymbol].set(tween, options);
+
+        if (!this[updateSymbol]) {
+            this[updateSymbol] = this[scriptSymbol].createEvent("UpdateEvent");
+            this[updateSymbol].bind(() => this.update());
+        }
+        this[updateSymbol].enabled = true;
+
+        return tween;
+    }
+
+    /**
+     * Removes a tween without calling its callbacks.
+     * @param {SOGT | Spring} tween
+     */
+    kill(tween){
+        if (!this[tweensSymbol].delete(tween)) return;
+
+        tween[managerSymbol] = null;
+        if (this[tweensSymbol].size === 0 && this[updateSymbol]) {
+            this[updateSymbol].enabled = false;
+        }
+    }
+
+    /**
+     * Whether the tween is registered with this manager.
+     * @param {SOGT | Spring} tween
+     * @returns {boolean}
+     */
+    has(tween){
+        return this[tweensSymbol].has(tween);
+    }
+
+    /**
+     * Pauses every registered tween.
+     */
+    pauseAll(){
+        this[tweensSymbol].forEach((_, tween) => tween.pause());
+    }
+
+    /**
+     * Resumes every registered tween.
+     */
+    resumeAll(){
+        this[tweensSymbol].forEach((_, tween) => tween.resume());
+    }
+
+    /**
+     * Removes every registered tween without calling their callbacks.
+     */
+    killAll(){
+        Array.from(this[tweensSymbol].keys()).forEach(tween => this.kill(tween));
+    }
+
+    /**
+     * Plays every registered tween once. Called by the update event.
+     * `onUpdate` receives the new value before `cycleCallback` and `callback` run.
+     * @private
+     */
+    update(){
+        for (const [tween, options] of Array.from(this[tweensSymbol])) {
+            if (!this[tweensSymbol].has(tween)) continue;
+
+            let cycled = false;
+            let finished = false;
+            const value = tween.play({
+                cycleCallback: () => cycled = true,
+                callback: () => finished = true,
+                easeFunction: options.easeFunction,
+            });
+
+            if (typeof options.onUpdate === "function") {
+                options.onUpdate(value);
+            }
+            if (cycled && typeof options.cycleCallback === "function") {
+                options.cycleCallback();
+            }
+            if (finished) {
+                this.kill(tween);
+                if (typeof options.callback === "function") {
+                    options.callback();
+                }
+            }
+        }
+    }
+}
+
+//#endregion
+
+//#region <TWEEN HELPERS>
+/**
+ * @typedef {Object} TweenHelperOptions
+ * @property {ScriptComponent} script - The script component whose `TweenManager` drives the tween.
+ * @property {TweenValue} [from] - Start value. Defaults to the current value.
+ * @property {"local" | "world"} [space="local"] - Transform space, for transform helpers.
+ * @property {number} [duration=1] - Time in seconds for one cycle.
+ * @property {EaseFunction} [easeFunction] - Easing applied to the progression. Defaults to linear.
+ * @property {number} [loop=1] - Number of cycles; 0 loops forever.
+ * @property {boolean} [pingpong=false] - Reverse direction on alternate cycles.
+ * @property {number} [delay=0] - Seconds to wait before the first cycle.
+ * @property {number} [hold=0] - Seconds to hold between cycles.
+ * @property {function(any): void} [onUpdate] - Called with the applied value every frame.
+ * @property {function(): void} [cycleCallback] - Called at the end of each cycle.
+ * @property {function(): void} [callback] - Called when all cycles finish.
+ */
+
+/**
+ * Creates a ValueTween from helper options and starts it, applying its value every frame.
+ * @private
+ * @param {TweenValue} from
+ * @param {TweenValue} to
+ * @param {function(any): void} apply
+ * @param {TweenHelperOptions} options
+ * @returns {ValueTween | null}
+ */
+function startValueTween(from, to, apply, {
+    script = null,
+    duration = 1,
+    easeFunction = EasingFunctions.Linear.InOut,
+    loop = 1,
+    pingpong = false,
+    delay = 0,
+    hold = 0,
+    onUpdate = null,
+    cycleCallback = null,
+    callback = null,
+} = {}) {
+    if (!script) {
+        print("Error: tween helpers need a 'script' option to drive the tween");
+        return null;
+    }
+
+    const tween = new ValueTween(
+        typeof from === "string" ? convertHex(from) : from,
+        typeof to === "string" ? convertHex(to) : to
+    );
+    tween.duration = duration;
+    tween.easeFunction = easeFunction;
+    tween.loop = loop;
+    tween.pingpong = pingpong;
+    tween.delay = delay;
+    tween.hold = hold;
+
+    return tween.start(script, {
+        onUpdate: (value) => {
+            apply(value);
+            if (typeof onUpdate === "function") {
+                onUpdate(value);
+            }
+        },
+        cycleCallback,
+        callback,
+    });
+}
+
+/**
+ * Tweens the position of a scene object from its current position.
+ *
+ * @param {SceneObject} sceneObject - The object to move.
+ * @param {vec3} to - The target position.
+ * @param {TweenHelperOptions} options - Tween options; `script` is required.
+ * @returns {ValueTween | null} The running tween, which can be paused, reversed or killed.
+ *
+ * @example
+ * tweenPosition(card, new vec3(0, 20, 0), { script, duration: 0.5, easeFunction: EasingFunctions.Back.Out });
+ */
+function tweenPosition(sceneObject, to, options = {}) {
+    const transform = sceneObject.getTransform();
+    const world = options.space === "world";
+    const from = options.from || (world ? transform.getWorldPosition() : transform.getLocalPosition());
+
+    return startValueTween(from, to, (value) => {
+        world ? transform.setWorldPosition(value) : transform.setLocalPosition(value);
+    }, options);
+}
+
+/**
+ * Tweens the rotation of a scene object from its current rotation, using spherical interpolation.
+ *
+ * @param {SceneObject} sceneObject - The object to rotate.
+ * @param {quat | vec3} to - The target rotation, as a quaternion or Euler angles in degrees.
+ * @param {TweenHelperOptions} options - Tween options; `script` is required. A `from` vec3 is read as Euler degrees too.
+ * @returns {ValueTween | null} The running tween.
+ *
+ * @example
+ * tweenRotation(wheel, new vec3(0, 0, 180), { script, duration: 2 });
+ */
+function tweenRotation(sceneObject, to, options = {}) {
+    const transform = sceneObject.getTransform();
+    const world = options.space === "world";
+    const toQuat = (r) => r instanceof vec3
+        ? quat.fromEulerAngles(r.x * MathUtils.DegToRad, r.y * MathUtils.DegToRad, r.z * MathUtils.DegToRad)
+        : r;
+    const from = options.from ? toQuat(options.from) : (world ? transform.getWorldRotation() : transform.getLocalRotation());
+
+    return startValueTween(from, toQuat(to), (value) => {
+        world ? transform.setWorldRotation(value) : transform.setLocalRotation(value);
+    }, options);
+}
+
+/**
+ * Tweens the scale of a scene object from its current scale.
+ *
+ * @param {SceneObject} sceneObject - The object to scale.
+ * @param {vec3 | number} to - The target scale. A number scales uniformly.
+ * @param {TweenHelperOptions} options - Tween options; `script` is required. A numeric `from` is uniform too.
+ * @returns {ValueTween | null} The running tween.
+ *
+ * @example
+ * tweenScale(button, 1.2, { script, duration: 0.15, pingpong: true, loop: 2 });
+ */
+function tweenScale(sceneObject, to, options = {}) {
+    const transform = sceneObject.getTransform();
+    const world = options.space === "world";
+    const toVec3 = (s) => typeof s === "number" ? new vec3(s, s, s) : s;
+    const from = options.from !== undefined ? toVec3(options.from) : (world ? transform.getWorldScale() : transform.getLocalScale());
+
+    return startValueTween(from, toVec3(to), (value) => {
+        world ? transform.setWorldScale(value) : transform.setLocalScale(value);
+    }, options);
+}
+
+/**
+ * Tweens a parameter of a material's main pass from its current value.
+ *
+ * @param {Material} material - The material to animate.
+ * @param {string} param - The main pass parameter name, e.g. `"baseColor"`.
+ * @param {TweenValue} to - The target value. Hex strings are converted with `convertHex`.
+ * @param {TweenHelperOptions} options - Tween options; `script` is required.
+ * @returns {ValueTween | null} The running tween.
+ *
+ * @example
+ * tweenMaterialParam(material, "baseColor", "#FFF0", { script, duration: 0.3 });
+ */
+function tweenMaterialParam(material, param, to, options = {}) {
+    const pass = material.mainPass;
+    const from = options.from !== undefined ? options.from : pass[param];
+
+    return startValueTween(from, to, (value) => {
+        pass[param] = value;
+    }, options);
+}
+
+/**
+ * Tweens the fill color of a Text component from its current color.
+ *
+ * @param {Text} textComponent - The Text component to recolor.
+ * @param {string | vec4} to - The target color as a hex string or vec4.
+ * @param {TweenHelperOptions} options - Tween options; `script` is required.
+ * @returns {ValueTween | null} The running tween.
+ *
+ * @example
+ * tweenTextColor(scoreText, "#FF3300", { script, duration: 0.2, pingpong: true, loop: 2 });
+ */
+function tweenTextColor(textComponent, to, options = {}) {
+    const fill = textComponent.textFill;
+    const from = options.from !== undefined ? options.from : fill.color;
+
+    return startValueTween(from, to, (value) => {
+        fill.color = value;
+    }, options);
+}
+
+//#endregion
+
+//#region <COLOR UTILS>
+/**
+ * CSS named colors as 6-digit hex.
+ * @private
+ */
+const namedColors = {
+    aliceblue: "f0f8ff", antiquewhite: "faebd7", aqua: "00ffff", aquamarine: "7fffd4", azure: "f0ffff",
+    beige: "f5f5dc", bisque: "ffe4c4", black: "000000", blanchedalmond: "ffebcd", blue: "0000ff",
+    blueviolet: "8a2be2", brown: "a52a2a", burlywood: "deb887", cadetblue: "5f9ea0", chartreuse: "7fff00",
+    chocolate: "d2691e", coral: "ff7f50", cornflowerblue: "6495ed", cornsilk: "fff8dc", crimson: "dc143c",
+    cyan: "00ffff", darkblue: "00008b", darkcyan: "008b8b", darkgoldenrod: "b8860b", darkgray: "a9a9a9",
+    darkgreen: "006400", darkgrey: "a9a9a9", darkkhaki: "bdb76b", darkmagenta: "8b008b", darkolivegreen: "556b2f",
+    darkorange: "ff8c00", darkorchid: "9932cc", darkred: "8b0000", darksalmon: "e9967a", darkseagreen: "8fbc8f",
+    darkslateblue: "483d8b", darkslategray: "2f4f4f", darkslategrey: "2f4f4f", darkturquoise: "00ced1", darkviolet: "9400d3",
+    deeppink: "ff1493", deepskyblue: "00bfff", dimgray: "696969", dimgrey: "696969", dodgerblue: "1e90ff",
+    firebrick: "b22222", floralwhite: "fffaf0", forestgreen: "228b22", fuchsia: "ff00ff", gainsboro: "dcdcdc",
+    ghostwhite: "f8f8ff", gold: "ffd700", goldenrod: "daa520", gray: "808080", green: "008000",
+    greenyellow: "adff2f", grey: "808080", honeydew: "f0fff0", hotpink: "ff69b4", indianred: "cd5c5c",
+    indigo: "4b0082", ivory: "fffff0", khaki: "f0e68c", lavender: "e6e6fa", lavenderblush: "fff0f5",
+    lawngreen: "7cfc00", lemonchiffon: "fffacd", lightblue: "add8e6", lightcoral: "f08080", lightcyan: "e0ffff",
+    lightgoldenrodyellow: "fafad2", lightgray: "d3d3d3", lightgreen: "90ee90", lightgrey: "d3d3d3", lightpink: "ffb6c1",
+    lightsalmon: "ffa07a", lightseagreen: "20b2aa", lightskyblue: "87cefa", lightslategray: "778899", lightslategrey: "778899",
+    lightsteelblue: "b0c4de", lightyellow: "ffffe0", lime: "00ff00", limegreen: "32cd32", linen: "faf0e6",
+    magenta: "ff00ff", maroon: "800000", mediumaquamarine: "66cdaa", mediumblue: "0000cd", mediumorchid: "ba55d3",
+    mediumpurple: "9370db", mediumseagreen: "3cb371", mediumslateblue: "7b68ee", mediumspringgreen: "00fa9a", mediumturquoise: "48d1cc",
+    mediumvioletred: "c71585", midnightblue: "191970", mintcream: "f5fffa", mistyrose: "ffe4e1", moccasin: "ffe4b5",
+    navajowhite: "ffdead", navy: "000080", oldlace: "fdf5e6", olive: "808000", olivedrab: "6b8e23",
+    orange: "ffa500", orangered: "ff4500", orchid: "da70d6", palegoldenrod: "eee8aa", palegreen: "98fb98",
+    paleturquoise: "afeeee", palevioletred: "db7093", papayawhip: "ffefd5", peachpuff: "ffdab9", peru: "cd853f",
+    pink: "ffc0cb", plum: "dda0dd", powderblue: "b0e0e6", purple: "800080", rebeccapurple: "663399",
+    red: "ff0000", rosybrown: "bc8f8f", royalblue: "4169e1", saddlebrown: "8b4513", salmon: "fa8072",
+    sandybrown: "f4a460", seagreen: "2e8b57", seashell: "fff5ee", sienna: "a0522d", silver: "c0c0c0",
+    skyblue: "87ceeb", slateblue: "6a5acd", slategray: "708090", slategrey: "708090", snow: "fffafa",
+    springgreen: "00ff7f", steelblue: "4682b4", tan: "d2b48c", teal: "008080", thistle: "d8bfd8",
+    tomato: "ff6347", turquoise: "40e0d0", violet: "ee82ee", wheat: "f5deb3", white: "ffffff",
+    whitesmoke: "f5f5f5", yellow: "ffff00", yellowgreen: "9acd32", transparent: "00000000",
+};
+
+/**
+ * Parses a 3, 4, 6 or 8 digit hex string into normalized RGBA components.
+ * @private
+ * @param {string} hex - The hex string, with or without '#'.
+ * @returns {number[] | null} `[r, g, b, a]` in [0, 1], or null on invalid input.
+ */
+function parseHex(hex) {
+    if (typeof hex !== "string") return null;
+    if (hex.startsWith("#")) {
+        hex = hex.slice(1);
+    }
+    if (!/^[0-9a-f]+$/i.test(hex)) return null;
+
+    if (hex.length === 3 || hex.length === 4) {
+        hex = hex.split("").map(c => c + c).join("");
+    }
+    if (hex.length === 6) {
+        hex += "ff";
+    }
+    if (hex.length !== 8) return null;
+
+    return [0, 2, 4, 6].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+}
+
+/**
+ * Parses a CSS numeric argument: a plain number scaled by `scale`, or a percentage of `percentOf`.
+ * @private
+ * @param {string} arg
+ * @param {number} scale
+ * @param {number} percentOf
+ * @returns {number}
+ */
+function parseColorArg(arg, scale, percentOf) {
+    return arg.endsWith("%") ? (parseFloat(arg) / 100) * percentOf : parseFloat(arg) / scale;
+}
+
+/**
+ * Parses a CSS hue with an optional `deg`, `rad`, `grad` or `turn` unit into [0, 1).
+ * @private
+ * @param {string} arg
+ * @returns {number}
+ */
+function parseHue(arg) {
+    const value = parseFloat(arg);
+    let turns = value / 360;
+    if (arg.endsWith("turn")) turns = value;
+    else if (arg.endsWith("grad")) turns = value / 400;
+    else if (arg.endsWith("rad")) turns = value / (2 * Math.PI);
+    return ((turns % 1) + 1) % 1;
+}
+
+/**
+ * Parses a color string: hex of any length, a CSS color name, or `rgb()`, `rgba()`, `hsl()` and `hsla()`
+ * in comma or space syntax.
+ *
+ * @param {string} color - The color string.
+ * @param {boolean} [inVec4=true] - Whether to return a vec4 (RGBA) or vec3 (RGB).
+ * @returns {vec3 | vec4 | null} The normalized color, or null on invalid input.
+ *
+ * @example
+ * parseColor("#0F08");                    // → vec4(0, 1, 0, 0.533)
+ * parseColor("rebeccapurple");            // → vec4(0.4, 0.2, 0.6, 1)
+ * parseColor("rgb(255 128 0 / 50%)");     // → vec4(1, 0.502, 0, 0.5)
+ * parseColor("hsl(120deg, 100%, 25%)");   // → vec4(0, 0.5, 0, 1)
+ */
+function parseColor(color, inVec4 = true) {
+    const input = String(color).trim().toLowerCase();
+    let rgba = null;
+
+    if (namedColors.hasOwnProperty(input)) {
+        rgba = parseHex(namedColors[input]);
+    } else if (input.startsWith("#") || /^[0-9a-f]+$/.test(input)) {
+        rgba = parseHex(input);
+    } else {
+        const match = input.match(/^(rgba?|hsla?)\(\s*([^)]*)\)$/);
+        if (match) {
+            const args = match[2].split(/\s*[,/]\s*|\s+/).filter(Boolean);
+            const alpha = args.length > 3 ? parseColorArg(args[3], 1, 1) : 1;
+
+            if (args.length >= 3 && match[1].startsWith("rgb")) {
+                rgba = [
+                    parseColorArg(args[0], 255, 1),
+                    parseColorArg(args[1], 255, 1),
+                    parseColorArg(args[2], 255, 1),
+                    alpha,
+                ];
+            } else if (args.length >= 3) {
+                const rgb = hslToRgb(new vec3(parseHue(args[0]), parseColorArg(args[1], 100, 1), parseColorArg(args[2], 100, 1)));
+                rgba = [rgb.x, rgb.y, rgb.z, alpha];
+            }
+        }
+    }
+
+    if (!rgba || rgba.some(c => isNaN(c))) {
+        print(`Error: invalid color "${color}"`);
+        return null;
+    }
+
+    rgba = rgba.map(c => MathUtils.clamp(c, 0, 1));
+    return inVec4 ? new vec4(rgba[0], rgba[1], rgba[2], rgba[3]) : new vec3(rgba[0], rgba[1], rgba[2]);
+}
+
+/**
+ * Rebuilds a color of the same type as `color`, keeping its alpha for vec4.
+ * @private
+ * @param {vec3 | vec4} color
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @returns {vec3 | vec4}
+ */
+function withComponents(color, x, y, z) {
+    return color instanceof vec4 ? new vec4(x, y, z, color.w) : new vec3(x, y, z);
+}
+
+/**
+ * Converts an RGB color to HSL. All components, including hue, are in [0, 1]. Alpha is kept.
+ * @param {vec3 | vec4} color - The RGB color.
+ * @returns {vec3 | vec4} `(h, s, l)` or `(h, s, l, a)`.
+ */
+function rgbToHsl(color) {
+    const max = Math.max(color.x, color.y, color.z);
+    const min = Math.min(color.x, color.y, color.z);
+    const l = (max + min) / 2;
+    const d = max - min;
+    if (d === 0) {
+        return withComponents(color, 0, 0, l);
+    }
+
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    return withComponents(color, rgbHue(color, max, d), s, l);
+}
+
+/**
+ * Converts an HSL color to RGB. All components, including hue, are in [0, 1]. Alpha is kept.
+ * @param {vec3 | vec4} color - The HSL color.
+ * @returns {vec3 | vec4} The RGB color.
+ */
+function hslToRgb(color) {
+    const h = color.x;
+    const s = color.y;
+    const l = color.z;
+    const f = (n) => {
+        const k = (n + h * 12) % 12;
+        const a = s * Math.min(l, 1 - l);
+        return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    };
+    return withComponents(color, f(0), f(8), f(4));
+}
+
+/**
+ * Converts an RGB color to HSV. All components, including hue, are in [0, 1]. Alpha is kept.
+ * @param {vec3 | vec4} color - The RGB color.
+ * @returns {vec3 | vec4} `(h, s, v)` or `(h, s, v, a)`.
+ */
+function rgbToHsv(color) {
+    const max = Math.max(color.x, color.y, color.z);
+    const min = Math.min(color.x, color.y, color.z);
+    const d = max - min;
+    const s = max === 0 ? 0 : d / max;
+    return withComponents(color, d === 0 ? 0 : rgbHue(color, max, d), s, max);
+}
+
+/**
+ * Converts an HSV color to RGB. All components, including hue, are in [0, 1]. Alpha is kept.
+ * @param {vec3 | vec4} color - The HSV color.
+ * @returns {vec3 | vec4} The RGB color.
+ */
+function hsvToRgb(color) {
+    const h = color.x;
+    const s = color.y;
+    const v = color.z;
+    const f = (n) => {
+        const k = (n + h * 6) % 6;
+        return v - v * s * Math.max(0, Math.min(k, 4 - k, 1));
+    };
+    return withComponents(color, f(5), f(3), f(1));
+}
+
+/**
+ * Hue in [0, 1) of an RGB color, given its largest component and chroma.
+ * @private
+ * @param {vec3 | vec4} color
+ * @param {number} max
+ * @param {number} d
+ * @returns {number}
+ */
+function rgbHue(color, max, d) {
+    let h;
+    if (max === color.x) h = (color.y - color.z) / d + (color.y < color.z ? 6 : 0);
+    else if (max === color.y) h = (color.z - color.x) / d + 2;
+    else h = (color.x - color.y) / d + 4;
+    return h / 6;
+}
+
+/**
+ * Converts an sRGB color to linear RGB, e.g. before blending or lighting math. Alpha is kept.
+ * @param {vec3 | vec4} color - The sRGB color.
+ * @returns {vec3 | vec4} The linear color.
+ */
+function srgbToLinear(color) {
+    const f = (c) => c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    return withComponents(color, f(color.x), f(color.y), f(color.z));
+}
+
+/**
+ * Converts a linear RGB color to sRGB. Alpha is kept.
+ * @param {vec3 | vec4} color - The linear color.
+ * @returns {vec3 | vec4} The sRGB color.
+ */
+function linearToSrgb(color) {
+    const f = (c) => c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+    return withComponents(color, f(color.x), f(color.y), f(color.z));
+}
+
+/**
+ * Converts a normalized color to a hex string.
+ *
+ * @param {vec3 | vec4} color - The color, components in [0, 1].
+ * @param {boolean} [includeAlpha] - Whether to append alpha (#RRGGBBAA).
+ * Defaults to true for vec4 colors that are not fully opaque.
+ * @returns {string} The uppercase hex string, e.g. "#FF8800".
+ *
+ * @example
+ * toHex(new vec4(1, 0.5333, 0, 1)); // → "#FF8800"
+ * toHex(new vec4(1, 0, 0, 0.5));    // → "#FF000080"
+ */
+function toHex(color, includeAlpha = color instanceof vec4 && color.w < 1) {
+    const channels = [color.x, color.y, color.z];
+    if (includeAlpha) {
+        channels.push(color instanceof vec4 ? color.w : 1);
+    }
+
+    return "#" + channels
+        .map(c => Math.round(MathUtils.clamp(c, 0, 1) * 255).toString(16).padStart(2, "0"))
+        .join("")
+        .toUpperCase();
+}
+
+/**
+ * Converts an sRGB color to Oklab, a perceptual space where equal distances look equally different.
+ * Alpha is kept.
+ * @param {vec3 | vec4} color - The sRGB color.
+ * @returns {vec3 | vec4} `(L, a, b)` or `(L, a, b, alpha)`.
+ */
+function rgbToOklab(color) {
+    const c = srgbToLinear(color);
+    const l = Math.cbrt(0.4122214708 * c.x + 0.5363325363 * c.y + 0.0514459929 * c.z);
+    const m = Math.cbrt(0.2119034982 * c.x + 0.6806995451 * c.y + 0.1073969566 * c.z);
+    const s = Math.cbrt(0.0883024619 * c.x + 0.2817188376 * c.y + 0.6299787005 * c.z);
+
+    return withComponents(color,
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    );
+}
+
+/**
+ * Converts an Oklab color back to sRGB. Alpha is kept.
+ * @param {vec3 | vec4} color - The Oklab color.
+ * @returns {vec3 | vec4} The sRGB color. Out-of-gamut colors are not clamped.
+ */
+function oklabToRgb(color) {
+    const l = Math.pow(color.x + 0.3963377774 * color.y + 0.2158037573 * color.z, 3);
+    const m = Math.pow(color.x - 0.1055613458 * color.y - 0.0638541728 * color.z, 3);
+    const s = Math.pow(color.x - 0.0894841775 * color.y - 1.2914855480 * color.z, 3);
+
+    return linearToSrgb(withComponents(color,
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ));
+}
+
+/**
+ * A color accepted by `mixColors` and `Gradient`: a vec3/vec4 or any string `parseColor` understands.
+ * @typedef {vec3 | vec4 | string} ColorValue
+ */
+
+/**
+ * Blends two colors in RGB, HSL or Oklab space. Oklab keeps the middle of the blend from turning muddy;
+ * HSL travels around the hue wheel the short way.
+ *
+ * @param {ColorValue} from - The color at `t = 0`.
+ * @param {ColorValue} to - The color at `t = 1`.
+ * @param {number} t - Blend factor in [0, 1].
+ * @param {"rgb" | "hsl" | "oklab"} [space="rgb"] - The interpolation space.
+ * @returns {vec4} The blended color.
+ *
+ * @example
+ * mixColors("#FF0000", "#00FF00", 0.5, "oklab");
+ */
+function mixColors(from, to, t, space = "rgb") {
+    const a = from instanceof vec4 ? from : toVec4Color(from);
+    const b = to instanceof vec4 ? to : toVec4Color(to);
+    const lerp = (x, y) => x + (y - x) * t;
+
+    if (space === "hsl") {
+        const ha = rgbToHsl(a);
+        const hb = rgbToHsl(b);
+        // Achromatic colors have no meaningful hue; borrow the other one.
+        if (ha.y === 0) ha.x = hb.x;
+        if (hb.y === 0) hb.x = ha.x;
+        let dh = hb.x - ha.x;
+        if (dh > 0.5) dh -= 1;
+        if (dh < -0.5) dh += 1;
+        return clampColor(hslToRgb(new vec4(((ha.x + dh * t) % 1 + 1) % 1, lerp(ha.y, hb.y), lerp(ha.z, hb.z), lerp(a.w, b.w))));
+    }
+
+    if (space === "oklab") {
+        const la = rgbToOklab(a);
+        const lb = rgbToOklab(b);
+        return clampColor(oklabToRgb(new vec4(lerp(la.x, lb.x), lerp(la.y, lb.y), lerp(la.z, lb.z), lerp(a.w, b.w))));
+    }
+
+    return new vec4(lerp(a.x, b.x), lerp(a.y, b.y), lerp(a.z, b.z), lerp(a.w, b.w));
+}
+
+/**
+ * Converts a color value to a vec4, with alpha 1 for vec3 and magenta for unparsable strings.
+ * @private
+ * @param {ColorValue} color
+ * @returns {vec4}
+ */
+function toVec4Color(color) {
+    if (color instanceof vec4) return color;
+    if (color instanceof vec3) return new vec4(color.x, color.y, color.z, 1);
+    return parseColor(color) || new vec4(1, 0, 1, 1);
+}
+
+/**
+ * Clamps every component of a color to [0, 1].
+ * @private
+ * @param {vec4} color
+ * @returns {vec4}
+ */
+function clampColor(color) {
+    const c = (v) => MathUtils.clamp(v, 0, 1);
+    return new vec4(c(color.x), c(color.y), c(color.z), c(color.w));
+}
+
+/**
+ * A gradient stop.
+ * @typedef {Object} GradientStop
+ * @property {number} at - Position in [0, 1].
+ * @property {ColorValue} color - The color at this position.
+ * @property {EaseFunction} [easeFunction] - Easing towards the next stop. Defaults to the gradient's `easeFunction`.
+ */
+
+/**
+ * A color gradient with any number of stops, sampled at a position between 0 and 1.
+ * @class
+ *
+ * @example
+ * const health = new Gradient(["#FF3B30", "#FFCC00", "#34C759"], { space: "oklab" });
+ * bar.mainPass.baseColor = health.sample(hp / maxHp);
+ */
+class Gradient{
+    /**
+     * @constructor
+     * @param {(ColorValue | GradientStop)[]} [stops=[]] - Colors spread evenly, or stops with explicit positions.
+     * @param {Object} [options={}]
+     * @param {"rgb" | "hsl" | "oklab"} [options.space="rgb"] - The interpolation space.
+     * @param {EaseFunction} [options.easeFunction] - Easing between each pair of stops. Defaults to linear.
+     */
+    constructor(stops = [], {space = "rgb", easeFunction = EasingFunctions.Linear.InOut} = {}){
+        /**
+         * The stops, sorted by position.
+         * @type {{ at: number, color: vec4, easeFunction?: EaseFunction }[]}
+         */
+        this.stops = [];
+        /** @type {"rgb" | "hsl" | "oklab"} */
+        this.space = space;
+        /** @type {EaseFunction} */
+        this.easeFunction = easeFunction;
+
+        stops.forEach((stop, i) => {
+            const isStop = typeof stop === "object" && stop !== null && "at" in stop;
+            const at = isStop ? stop.at : (stops.length > 1 ? i / (stops.length - 1) : 0);
+            this.addStop(at, isStop ? stop.color : stop, isStop ? stop.easeFunction : undefined);
+        });
+    }
+
+    /**
+     * Adds a stop and keeps the stops sorted.
+     * @param {number} at - Position in [0, 1].
+     * @param {ColorValue} color - The color at this position.
+     * @param {EaseFunction} [easeFunction] - Easing towards the next stop.
+     * @returns {Gradient} The gradient, for chaining.
+     */
+    addStop(at, color, easeFunction){
+        this.stops.push({ at: MathUtils.clamp(at, 0, 1), color: toVec4Color(color), easeFunction });
+        this.stops.sort((a, b) => a.at - b.at);
+        return this;
+    }
+
+    /**
+     * Returns the color at a position. Positions outside the stops take the nearest stop's color.
+     * @param {number} t - Position in [0, 1].
+     * @returns {vec4}
+     */
+    sample(t){
+        const stops = this.stops;
+        if (stops.length === 0) return new vec4(0, 0, 0, 0);
+        if (t <= stops[0].at) return mixColors(stops[0].color, stops[0].color, 0);
+        if (t >= stops[stops.length - 1].at) return mixColors(stops[stops.length - 1].color, stops[stops.length - 1].color, 0);
+
+        let i = 0;
+        while (t > stops[i + 1].at) i++;
+
+        const from = stops[i];
+        const to = stops[i + 1];
+        const span = to.at - from.at;
+        const ease = from.easeFunction || this.easeFunction;
+        return mixColors(from.color, to.color, span > 0 ? ease((t - from.at) / span) : 1, this.space);
+    }
+}
+
+//#endregion
+
+//#region <HIERARCHY QUERY>
+/**
+ * Options shared by the hierarchy queries.
+ * @typedef {Object} HierarchyQueryOptions
+ * @property {string | RegExp} [name] - Name filter. Strings are globs where `*` matches any run of characters
+ * and `?` a single one; without wildcards they must match the whole name exactly.
+ * @property {string} [component] - Only objects that have a component of this type, e.g. "Component.Text".
+ * @property {(obj: SceneObject, depth: number) => boolean} [predicate] - Custom filter.
+ * @property {number} [maxDepth=Infinity] - Levels to search below each root; roots are at depth 0.
+ * @property {boolean} [includeRoot=true] - Whether the roots themselves can match.
+ */
+
+/**
+ * Turns a name filter into a test function.
+ * @private
+ * @param {string | RegExp | undefined} pattern
+ * @returns {(name: string) => boolean}
+ */
+function compileNameMatcher(pattern) {
+    if (pattern === undefined) return () => true;
+    if (pattern instanceof RegExp) return (name) => {
+        pattern.lastIndex = 0;
+        return pattern.test(name);
+    };
+    if (!/[*?]/.test(pattern)) return (name) => name === pattern;
+
+    const source = pattern
+        .split("")
+        .map(c => c === "*" ? ".*" : c === "?" ? "." : c.replace(/[.+^${}()|[\]\\]/g, "\\$&"))
+        .join("");
+    const regex = new RegExp("^" + source + "$");
+    return (name) => regex.test(name);
+}
+
+/**
+ * Lists the children of a scene object, or of a plain `{ name, children }` node.
+ * @private
+ * @param {SceneObject | Object} node
+ * @returns {Array<SceneObject | Object>}
+ */
+function getChildNodes(node) {
+    if (Array.isArray(node.children)) return node.children;
+    if (typeof node.getChildrenCount !== "function") return [];
+
+    const result = [];
+    for (let i = 0; i < node.getChildrenCount(); i++) {
+        result.push(node.getChild(i));
+    }
+    return result;
+}
+
+/**
+ * Resolves the `root` argument of the queries: one object, several, or every scene root when omitted.
+ * @private
+ * @param {SceneObject | SceneObject[] | null | undefined} root
+ * @returns {SceneObject[]}
+ */
+function resolveRoots(root) {
+    if (Array.isArray(root)) return root;
+    if (root) return [root];
+
+    const result = [];
+    for (let i = 0; i < global.scene.getRootObjectsCount(); i++) {
+        result.push(global.scene.getRootObject(i));
+    }
+    return result;
+}
+
+/**
+ * Depth-first walk used by `find` and `findOne`.
+ * @private
+ * @param {SceneObject} node
+ * @param {number} depth
+ * @param {(obj: SceneObject, depth: number) => boolean} matches
+ * @param {HierarchyQueryOptions} options
+ * @param {SceneObject[]} result
+ * @param {number} limit - Stop once this many objects are found.
+ */
+function walkHierarchy(node, depth, matches, options, result, limit) {
+    if ((depth > 0 || options.includeRoot !== false) && matches(node, depth)) {
+        result.push(node);
+    }
+    if (result.length >= limit || depth >= (options.maxDepth !== undefined ? options.maxDepth : Infinity)) return;
+
+    for (const child of getChildNodes(node)) {
+        walkHierarchy(child, depth + 1, matches, options, result, limit);
+        if (result.length >= limit) return;
+    }
+}
+
+/**
+ * Runs a query and returns up to `limit` matches.
+ * @private
+ * @param {SceneObject | SceneObject[] | null | undefined} root
+ * @param {HierarchyQueryOptions} options
+ * @param {number} limit
+ * @returns {SceneObject[]}
+ */
+function runQuery(root, options, limit) {
+    const nameMatches = compileNameMatcher(options.name);
+    const matches = (obj, depth) =>
+        nameMatches(obj.name)
+        && (!options.component || (typeof obj.getComponent === "function" && !!obj.getComponent(options.component)))
+        && (!options.predicate || !!options.predicate(obj, depth));
+
+    const result = [];
+    for (const node of resolveRoots(root)) {
+        walkHierarchy(node, 0, matches, options, result, limit);
+        if (result.length >= limit) break;
+    }
+    return result;
+}
+
+/**
+ * Finds every object under `root` that passes all the given filters, in depth-first order.
+ * Objects with the same name are all returned.
+ *
+ * @param {SceneObject | SceneObject[] | null} [root] - Where to search. Defaults to every scene root.
+ * @param {HierarchyQueryOptions} [options={}] - The filters.
+ * @returns {SceneObject[]} The matching objects.
+ *
+ * @example
+ * const buttons = find(uiRoot, { name: "Button*", component: "Component.InteractionComponent", maxDepth: 2 });
+ * const hidden = find(null, { predicate: (obj) => !obj.enabled });
+ */
+function find(root, options = {}) {
+    return runQuery(root, options, Infinity);
+}
+
+/**
+ * Finds the first object under `root` that passes all the given filters.
+ *
+ * @param {SceneObject | SceneObject[] | null} [root] - Where to search. Defaults to every scene root.
+ * @param {HierarchyQueryOptions} [options={}] - The filters.
+ * @returns {SceneObject | null} The first match, or null.
+ */
+function findOne(root, options = {}) {
+    return runQuery(root, options, 1)[0] || null;
+}
+
+/**
+ * Finds objects by a slash-separated path of names. Each segment may be a glob, so "UI/Row?/Label" matches the
+ * `Label` of `Row1`, `Row2` and so on. When `root` is given the path starts at its children; otherwise the first
+ * segment names a scene root.
+ *
+ * @param {string} path - The path, e.g. "Root/UI/Button".
+ * @param {SceneObject | null} [root] - The object the path is relative to.
+ * @returns {SceneObject[]} Every object at the path, including duplicates.
+ *
+ * @example
+ * const [button] = findByPath("Root/UI/Button");
+ * const labels = findByPath("Items/Slot?/Label", menuRoot);
+ */
+function findByPath(path, root) {
+    const segments = path.split("/").filter(segment => segment.length > 0);
+    let current = root ? getChildNodes(root) : resolveRoots(null);
+
+    segments.forEach((segment, i) => {
+        const matches = compileNameMatcher(segment);
+        const found = current.filter(node => matches(node.name));
+        current = i < segments.length - 1 ? found.flatMap(getChildNodes) : found;
+    });
+
+    if (!segments.length) current = root ? [root] : [];
+    return current;
+}
+
+/**
+ * Collects the components of a type from every object matching a query.
+ *
+ * @param {SceneObject | SceneObject[] | null} root - Where to search. Defaults to every scene root.
+ * @param {string} type - The component type, e.g. "Component.Text".
+ * @param {HierarchyQueryOptions} [options={}] - Further filters.
+ * @returns {Component[]} The components, in hierarchy order.
+ *
+ * @example
+ * findComponents(uiRoot, "Component.Text", { name: "*Label" }).forEach(text => text.text = "");
  */
+function findComponents(root, type, options = {}) {
+    return find(root, {...options, component: type}).flatMap(obj => obj.getComponents(type));
+}
+//#endregion
 
-const EasingFunctions = {
-    Linear: {
-        InOut: function (k) {
-            return k;
-        },
-    },
-    Quadratic: {
-        In: function (k) {
-            return k * k;
-        },
-        Out: function (k) {
-            return k * (2 - k);
-        },
-        InOut: function (k) {
-            if ((k *= 2) < 1) {
-                return 0.5 * k * k;
-            }
-            return -0.5 * (--k * (k - 2) - 1);
-        },
-    },
-    Cubic: {
-        In: function (k) {
-            return k * k * k;
-        },
-        Out: function (k) {
-            return --k * k * k + 1;
-        },
-        InOut: function (k) {
-            if ((k *= 2) < 1) {
-                return 0.5 * k * k * k;
-            }
-            return 0.5 * ((k -= 2) * k * k + 2);
-        },
-    },
-    Quartic: {
-        In: function (k) {
-            return k * k * k * k;
-        },
-        Out: function (k) {
-            return 1 - --k * k * k * k;
-        },
-        InOut: function (k) {
-            if ((k *= 2) < 1) {
-                return 0.5 * k * k * k * k;
-            }
-            return -0.5 * ((k -= 2) * k * k * k - 2);
-        },
-    },
-    Quintic: {
-        In: function (k) {
-            return k * k * k * k * k;
-        },
-        Out: function (k) {
-            return --k * k * k * k * k + 1;
-        },
-        InOut: function (k) {
-            if ((k *= 2) < 1) {
-                return 0.5 * k * k * k * k * k;
-            }
-            return 0.5 * ((k -= 2) * k * k * k * k + 2);
-        },
-    },
-    Sinusoidal: {
-        In: function (k) {
-            return 1 - Math.cos((k * Math.PI) / 2);
-        },
-        Out: function (k) {
-            return Math.sin((k * Math.PI) / 2);
-        },
-        InOut: function (k) {
-            return 0.5 * (1 - Math.cos(Math.PI * k));
-        },
-    },
-    Exponential: {
-        In: function (k) {
-            return k == 0 ? 0 : Math.pow(1024, k - 1);
-        },
-        Out: function (k) {
-            return k == 1 ? 1 : 1 - Math.pow(2, -10 * k);
-        },
-        InOut: function (k) {
-            if (k == 0) {
-                return 0;
-            }
-            if (k == 1) {
-                return 1;
-            }
-            if ((k *= 2) < 1) {
-                return 0.5 * Math.pow(1024, k - 1);
-            }
-            return 0.5 * (-Math.pow(2, -10 * (k - 1)) + 2);
-        },
-    },
-    Circular: {
-        In: function (k) {
-            return 1 - Math.sqrt(1 - k * k);
-        },
-        Out: function (k) {
-            return Math.sqrt(1 - --k * k);
-        },
-        InOut: function (k) {
-            if ((k *= 2) < 1) {
-                return -0.5 * (Math.sqrt(1 - k * k) - 1);
-            }
-            return 0.5 * (Math.sqrt(1 - (k -= 2) * k) + 1);
-        },
-    },
-    Elastic: {
-        In: function (k) {
-            if (k == 0) {
-                return 0;
-            }
-            if (k == 1) {
-                return 1;
-            }
-            return (
-                -Math.pow(2, 10 * (k - 1)) *
-                Math.sin((k - 1.1) * 5 * Math.PI)
-            );
+//#region <STORE>
+/** @private */ const storeData = Symbol("data");
+/** @private */ const storeScript = Symbol("script");
+/** @private */ const storeListeners = Symbol("listeners");
+/** @private */ const storePending = Symbol("pending");
+/** @private */ const storeChanged = Symbol("changed");
+/** @private */ const storeComputed = Symbol("computed");
+/** @private */ const storeTracking = Symbol("tracking");
+/** @private */ const storeAccessors = Symbol("accessors");
+/** @private */ const storeTimer = Symbol("timer");
+
+/**
+ * Whether a change at one path can affect the value at the other: the same path, a parent or a child.
+ * @private
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function pathsOverlap(a, b) {
+    return a === b || a.startsWith(b + ".") || b.startsWith(a + ".");
+}
+
+/**
+ * Defines a getter/setter on an accessor object that reads and writes `path` through the store.
+ * @private
+ * @param {Store} store
+ * @param {Object} target - The accessor object.
+ * @param {string} key - The property to define.
+ * @param {string} path - The full path of the property.
+ */
+function defineStoreAccessor(store, target, key, path) {
+    Object.defineProperty(target, key, {
+        get: function () {
+            const value = store.get(path);
+            return isPlainObject(value) ? storeAccessor(store, path, value) : value;
         },
-        Out: function (k) {
-            if (k == 0) {
-                return 0;
-            }
-            if (k == 1) {
-                return 1;
-            }
-            return (
-                Math.pow(2, -10 * k) *
-                    Math.sin((k - 0.1) * 5 * Math.PI) +
-                1
-            );
+        set: function (value) {
+            store.set(path, value);
         },
-        InOut: function (k) {
-            if (k == 0) {
-                return 0;
-            }
-            if (k == 1) {
-                return 1;
-            }
-            k *= 2;
-            if (k < 1) {
-                return (
-                    -0.5 *
-                    Math.pow(2, 10 * (k - 1)) *
-                    Math.sin((k - 1.1) * 5 * Math.PI)
-                );
+        enumerable: true,
+        configurable: true,
+    });
+}
+
+/**
+ * Returns the cached accessor object of a nested object in the state, building it on first use.
+ * @private
+ * @param {Store} store
+ * @param {string} path
+ * @param {Object} value - The raw nested object.
+ * @returns {Object}
+ */
+function storeAccessor(store, path, value) {
+    let accessor = store[storeAccessors].get(path);
+    if (!accessor) {
+        accessor = {};
+        for (const key in value) {
+            defineStoreAccessor(store, accessor, key, path + "." + key);
+        }
+        store[storeAccessors].set(path, accessor);
+    }
+    return accessor;
+}
+
+/**
+ * Records the current value of every subscribed path a change at `path` can affect, once per batch,
+ * so listeners receive the value from before the batch.
+ * @private
+ * @param {Store} store
+ * @param {string} path
+ */
+function snapshotStorePaths(store, path) {
+    store[storeListeners].forEach((listeners, subscribed) => {
+        if (subscribed && !store[storePending].has(subscribed) && pathsOverlap(subscribed, path)) {
+            store[storePending].set(subscribed, deepClone(store.get(subscribed)));
+        }
+    });
+}
+
+/**
+ * Recomputes dirty computed values that someone subscribed to, so their dependencies are known and their value
+ * from before a change can be snapshotted. Called before the store data changes.
+ * @private
+ * @param {Store} store
+ */
+function settleWatchedComputed(store) {
+    store[storeComputed].forEach((entry, name) => {
+        if (!entry.dirty) return;
+
+        let watched = false;
+        store[storeListeners].forEach((listeners, subscribed) => {
+            if (subscribed && listeners.length && pathsOverlap(subscribed, name)) watched = true;
+        });
+        if (watched) store.get(name);
+    });
+}
+
+/**
+ * Snapshots the paths affected by a change and marks the computed values that depend on it as dirty,
+ * following computed values that depend on other computed values.
+ * @private
+ * @param {Store} store
+ * @param {string} path
+ */
+function markStoreChanged(store, path) {
+    snapshotStorePaths(store, path);
+
+    store[storeComputed].forEach((entry, name) => {
+        if (entry.dirty || ![...entry.deps].some(dep => pathsOverlap(dep, path))) return;
+
+        snapshotStorePaths(store, name);
+        entry.dirty = true;
+        markStoreChanged(store, name);
+    });
+}
+
+/**
+ * Observable state container. Several scripts can share one store, read and write it through `state` or
+ * dot paths, and subscribe to changes. Computed values recompute only when the state they read changes.
+ *
+ * With a `script`, all changes made during a frame are delivered together on the next update,
+ * once per listener. Without one, listeners run right after each change.
+ * @class
+ */
+class Store{
+    /**
+     * @param {Object.<string, any>} [initialState={}] - The initial state. It is deep-cloned.
+     * @param {Object} [options={}] - Optional settings.
+     * @param {ScriptComponent} [options.script] - Script whose shared update event batches notifications.
+     * @param {Object.<string, (state: Object) => any>} [options.computed={}] - Read-only values derived from the state.
+     *
+     * @example
+     * const store = new Store({ score: 0, lives: 3, ui: { mode: "menu" } }, {
+     *   script,
+     *   computed: {
+     *     gameOver: (state) => state.lives <= 0,
+     *     label: (state) => "Score: " + state.score,
+     *   },
+     * });
+     *
+     * store.subscribe("label", (label) => scoreText.text = label);
+     * store.state.score += 10;
+     * store.state.ui.mode = "game";
+     */
+    constructor(initialState = {}, {script = null, computed = {}} = {}) {
+        this[storeData] = deepClone(initialState);
+        this[storeScript] = script;
+        this[storeListeners] = new Map();
+        this[storePending] = new Map();
+        this[storeChanged] = new Set();
+        this[storeComputed] = new Map();
+        this[storeTracking] = null;
+        this[storeAccessors] = new Map();
+        this[storeTimer] = null;
+
+        const state = {};
+        this[storeAccessors].set("", state);
+        for (const key in this[storeData]) {
+            defineStoreAccessor(this, state, key, key);
+        }
+        for (const name in computed) {
+            this[storeComputed].set(name, {fn: computed[name], value: undefined, deps: new Set(), dirty: true});
+            Object.defineProperty(state, name, {
+                get: () => this.get(name),
+                set: (value) => this.set(name, value),
+                enumerable: true,
+            });
+        }
+
+        /**
+         * Live view of the state. Reading and assigning its properties, at any depth, goes through
+         * `get` and `set`. Computed values appear as read-only properties.
+         * @type {Object.<string, any>}
+         */
+        Object.defineProperty(this, "state", {
+            get: () => state,
+        });
+    }
+
+    /**
+     * Reads a value by dot path, e.g. "ui.mode", or a computed value by name.
+     * Returned objects belong to the store; change them through `set` so listeners are notified.
+     * @param {string} path
+     * @returns {any} The value, or undefined if the path does not exist.
+     */
+    get(path) {
+        if (this[storeTracking]) this[storeTracking].add(path);
+
+        const [head, ...rest] = path.split(".");
+        const entry = this[storeComputed].get(head);
+        let value = this[storeData][head];
+
+        if (entry) {
+            if (entry.dirty) {
+                const outer = this[storeTracking];
+                this[storeTracking] = new Set();
+                entry.value = entry.fn(this.state);
+                entry.deps = this[storeTracking];
+                entry.dirty = false;
+                this[storeTracking] = outer;
             }
-            return (
-                0.5 *
-                    Math.pow(2, -10 * (k - 1)) *
-                    Math.sin((k - 1.1) * 5 * Math.PI) +
-                1
-            );
-        },
-    },
-    Back: {
-        In: function (k) {
-            var s = 1.70158;
-            return k * k * ((s + 1) * k - s);
-        },
-        Out: function (k) {
-            var s = 1.70158;
-            return --k * k * ((s + 1) * k + s) + 1;
-        },
-        InOut: function (k) {
-            var s = 1.70158 * 1.525;
-            if ((k *= 2) < 1) {
-                return 0.5 * (k * k * ((s + 1) * k - s));
+            value = entry.value;
+        }
+
+        for (const key of rest) {
+            if (value === null || typeof value !== "object") return undefined;
+            value = value[key];
+        }
+        return value;
+    }
+
+    /**
+     * Writes a value by dot path, creating missing parent objects. The value is deep-cloned.
+     * Writing a value equal to the current one does nothing.
+     * @param {string} path - e.g. "ui.mode".
+     * @param {any} value
+     */
+    set(path, value) {
+        const segments = path.split(".");
+        if (this[storeComputed].has(segments[0])) {
+            print(`Error: "${segments[0]}" is computed and cannot be set`);
+            return;
+        }
+
+        const key = segments.pop();
+        let parent = this[storeData];
+        for (const segment of segments) {
+            if (!isPlainObject(parent[segment])) parent[segment] = {};
+            parent = parent[segment];
+        }
+        if (key in parent && deepEqual(parent[key], value)) return;
+
+        settleWatchedComputed(this);
+        markStoreChanged(this, path);
+        parent[key] = deepClone(value);
+
+        // Accessors below the path are rebuilt on next read; new keys get an accessor on their parent.
+        this[storeAccessors].forEach((accessor, cached) => {
+            if (cached && pathsOverlap(cached, path) && cached.length >= path.length) {
+                this[storeAccessors].delete(cached);
             }
-            return 0.5 * ((k -= 2) * k * ((s + 1) * k + s) + 2);
-        },
-    },
-    Bounce: {
-        In: function (k) {
-            return 1 - Bounce(1 - k);
-        },
-        Out: function (k) {
-            return Bounce(k)
-        },
-        InOut: function (k) {
-            if (k < 0.5) {
-                return Bounce(k * 2) * 0.5;
+        });
+        segments.push(key);
+        segments.forEach((segment, i) => {
+            const parentPath = segments.slice(0, i).join(".");
+            const accessor = this[storeAccessors].get(parentPath);
+            if (accessor && !(segment in accessor)) {
+                defineStoreAccessor(this, accessor, segment, segments.slice(0, i + 1).join("."));
             }
-            return Bounce(k * 2 - 1) * 0.5 + 0.5;
-        },
-    },
-};
+        });
 
-function Bounce (k) {
-    if (k < 1 / 2.75) {
-        return 7.5625 * k * k;
-    } else if (k < 2 / 2.75) {
-        return 7.5625 * (k -= 1.5 / 2.75) * k + 0.75;
-    } else if (k < 2.5 / 2.75) {
-        return 7.5625 * (k -= 2.25 / 2.75) * k + 0.9375;
-    } else {
-        return 7.5625 * (k -= 2.625 / 2.75) * k + 0.984375;
+        this[storeChanged].add(path);
+        if (!this[storeScript]) {
+            this.flush();
+        } else if (!this[storeTimer]) {
+            this[storeTimer] = frameDelayedCall(0, this[storeScript], () => this.flush());
+        }
     }
-}; 
 
-//
-/** @private */ const time = Symbol("time");
-/** @private */ const flow = Symbol("flow");
-/** @private */ const cycle = Symbol("cycle");
-/** @private */ const loopSymbol = Symbol("loop");
-/** @private */ const progressionSymbol = Symbol("progression");
-/** @private */ const isPausedSymbol = Symbol("isPaused");
-/** @private */ const isReversedSymbol = Symbol("isReversed");
+    /**
+     * Subscribes to changes.
+     * With a path, the listener runs when the value at that path, or a computed value by that name, changes,
+     * and receives the new value and the value from before the batch.
+     * Without a path, it runs once per batch with the state and the list of paths that were set.
+     *
+     * @param {string | ((state: Object, paths: string[]) => void)} path - The path, or the listener.
+     * @param {(value: any, oldValue: any) => void} [listener]
+     * @returns {() => void} Removes the listener.
+     *
+     * @example
+     * const unsubscribe = store.subscribe("lives", (lives, before) => print(`${before} -> ${lives}`));
+     * store.subscribe((state, paths) => print("Changed: " + paths.join(", ")));
+     */
+    subscribe(path, listener) {
+        if (typeof path === "function") {
+            listener = path;
+            path = "";
+        }
 
-/** @private */ const cycleCallbackCalled = Symbol("cycle");
-/** @private */ const animCallbackCalled = Symbol("cycle");
+        if (!this[storeListeners].has(path)) this[storeListeners].set(path, []);
+        this[storeListeners].get(path).push(listener);
+
+        // Reading a computed value records what it depends on, so the first change already notifies.
+        if (this[storeComputed].has(path.split(".")[0])) this.get(path);
+
+        return () => {
+            const listeners = this[storeListeners].get(path);
+            const i = listeners ? listeners.indexOf(listener) : -1;
+            if (i >= 0) listeners.splice(i, 1);
+        };
+    }
+
+    /**
+     * Delivers pending notifications now instead of waiting for the next update.
+     */
+    flush() {
+        if (this[storeTimer]) {
+            this[storeTimer].cancel();
+            this[storeTimer] = null;
+        }
+
+        const pending = this[storePending];
+        const changed = [...this[storeChanged]];
+        this[storePending] = new Map();
+        this[storeChanged] = new Set();
+
+        pending.forEach((oldValue, path) => {
+            const value = this.get(path);
+            if (deepEqual(value, oldValue)) return;
+            (this[storeListeners].get(path) || []).slice().forEach(listener => listener(value, oldValue));
+        });
+
+        if (changed.length) {
+            (this[storeListeners].get("") || []).slice().forEach(listener => listener(this.state, changed));
+        }
+    }
+
+    /**
+     * Returns a deep copy of the state without computed values, e.g. for `serialize`.
+     * @returns {Object.<string, any>}
+     */
+    snapshot() {
+        return deepClone(this[storeData]);
+    }
+}
+//#endregion
+
+//#region <OBJECT POOL>
+/** @private */ const poolFactory = Symbol("factory");
+/** @private */ const poolRoot = Symbol("root");
+/** @private */ const poolOwnsRoot = Symbol("ownsRoot");
+/** @private */ const poolFree = Symbol("free");
+/** @private */ const poolActive = Symbol("active");
+/** @private */ const poolInitial = Symbol("initial");
+/** @private */ const poolCounters = Symbol("counters");
 
 /**
- * @module SOGT
+ * Returns the scene object of a pooled item: the item itself, the `Object` of a `createSceneComponent` result,
+ * or the first root of a `buildScene` handle.
+ * @private
+ * @param {SceneObject | Object} item
+ * @returns {SceneObject}
  */
+function pooledSceneObject(item) {
+    if (item.roots) return item.roots[0];
+    if (item.Object) return item.Object;
+    return item;
+}
 
 /**
- * Tweening controller supporting loops, ping-pong, and easing.
- * @class
+ * Creates one pool item, disabled under the pool root, and records its initial state.
+ * @private
+ * @param {ObjectPool} pool
+ * @returns {any} The item.
  */
-class SOGT{
-    /** @constructor */
-    constructor(){
-        this[time] = 0;
-        this[flow] = 1;
-        this[cycle] = 0;
-        this[loopSymbol] = 1;
-        this[progressionSymbol] = 0;
-        this[isPausedSymbol] = false;
-        this[isReversedSymbol] = false;
+function createPooledItem(pool) {
+    const item = pool[poolFactory](pool[poolRoot]);
+    const obj = pooledSceneObject(item);
+    const transform = obj.getTransform();
 
-        this[cycleCallbackCalled] = false;
-        this[animCallbackCalled] = false;
+    pool[poolInitial].set(item, {
+        position: transform.getLocalPosition(),
+        rotation: transform.getLocalRotation(),
+        scale: transform.getLocalScale(),
+        enabled: obj.enabled,
+    });
+    obj.enabled = false;
+    pool[poolCounters].created++;
+
+    return item;
+}
+
+/**
+ * Reuses scene objects instead of creating and destroying them, e.g. for bullets, particles or score popups.
+ * Free objects are disabled and parked under a pool root; released objects get their local transform and
+ * enabled state back.
+ * @class
+ * @template T
+ */
+class ObjectPool{
+    /**
+     * @constructor
+     * @param {Object} options - Pool settings. Either `spec` or `factory` is required.
+     * @param {SceneSpec} [options.spec] - A `buildScene` spec; items are then `SceneHandle`s.
+     * @param {(root: SceneObject) => T} [options.factory] - Creates an item under the given root. It may return a
+     * scene object, a `createSceneComponent` result or a `buildScene` handle.
+     * @param {SceneObject} [options.root] - Where free objects are parked. Defaults to a new "ObjectPool" object.
+     * @param {number} [options.size=0] - Items to create up front.
+     * @param {number} [options.maxSize=Infinity] - Most items the pool creates; `acquire` returns null beyond it.
+     * @param {(item: T) => void} [options.reset] - Extra cleanup run on release, after transform and enabled state are restored.
+     *
+     * @example
+     * const bullets = new ObjectPool({
+     *   factory: (root) => BatchUtils.createSceneComponent(root, "Bullet", ["Component.RenderMeshVisual"]),
+     *   size: 20,
+     *   maxSize: 50,
+     * });
+     *
+     * const bullet = bullets.acquire(gunRoot);
+     * delayedCall(2, script, () => bullets.release(bullet));
+     */
+    constructor({spec = null, factory = null, root = null, size = 0, maxSize = Infinity, reset = null} = {}){
+        this[poolFactory] = factory || (spec ? (parent) => buildScene(parent, spec) : null);
+        this[poolOwnsRoot] = !root;
+        this[poolRoot] = root || global.scene.createSceneObject("ObjectPool");
+        /** @type {T[]} */
+        this[poolFree] = [];
+        /** @type {Set<T>} */
+        this[poolActive] = new Set();
+        /** @type {Map<T, { position: vec3, rotation: quat, scale: vec3, enabled: boolean }>} */
+        this[poolInitial] = new Map();
+        this[poolCounters] = {created: 0, peak: 0, misses: 0};
 
         /**
-         * @readonly
-         * @type {number}
-         */
-        this.cycleIndex = 0;
-        /**
-         * @readonly
+         * Most items the pool creates.
          * @type {number}
          */
-        this.progression = 0;
-        /**
-         * @readonly
-         * @type {boolean}
-         */
-        this.isPaused = false;
-        /**
-         * @readonly
-         * @type {boolean}
-         */
-        this.isReversed = false;
-        
-        /** @type {number} */
-        this.duration = 1;
+        this.maxSize = maxSize;
+
         /**
-         * The easing function applied to progression.
-         * Replace with any function from `EasingFunctions`.
-         * 
-         * @example
-         * anim.easeFunction = EasingFunctions.Quadratic.InOut;
-         * 
-         * @type {EaseFunction}
+         * Extra cleanup run on release.
+         * @type {((item: T) => void) | null}
          */
-        this.easeFunction = EasingFunctions.Linear.InOut;
-        /** @type {number} */
-        this.loop = 1;
-        /** @type {boolean} */
-        this.pingpong = false;
-        
-        Object.defineProperty(this, "loop", {
-            get(){
-                return this[loopSymbol];
-            },
-            set(loopCount){
-                this[loopSymbol] = loopCount < 1 ? Infinity : loopCount;
-            }
-        })
+        this.reset = reset;
 
-        Object.defineProperty(this, "cycleIndex", {
-            get(){
-                return this[cycle];
-            },
-        })
+        if (!this[poolFactory]) {
+            print("Error: ObjectPool needs a spec or a factory");
+            return;
+        }
 
-        Object.defineProperty(this, "progression", {
-            get(){
-                return this[progressionSymbol];
-            },
-        })
+        this.prewarm(size);
+    }
 
-        Object.defineProperty(this, "isPaused", {
-            get(){
-                return this[isPausedSymbol];
-            },
-        })
+    /**
+     * Pool usage numbers.
+     * @readonly
+     * @type {{ total: number, active: number, free: number, created: number, peak: number, misses: number }}
+     */
+    get stats(){
+        const active = this[poolActive].size;
+        const free = this[poolFree].length;
+        return {total: active + free, active, free, ...this[poolCounters]};
+    }
 
-        Object.defineProperty(this, "isReversed", {
-            get(){
-                return this[isReversedSymbol];
-            },
-        })
+    /**
+     * Creates free items until there are at least `count` of them, within `maxSize`.
+     * @param {number} count
+     */
+    prewarm(count){
+        while (this[poolFree].length < count && this.stats.total < this.maxSize) {
+            this[poolFree].push(createPooledItem(this));
+        }
     }
 
     /**
-     * Advances the animation based on time delta.
-     * Handles easing, looping, ping-pong, and calls appropriate callbacks.
-     * 
-     * @param {Object} [options] - Play control options.
-     * @param {function(): void} [options.cycleCallback] - Called at the end of each loop cycle.
-     * @param {function(): void} [options.callback] - Called when all cycles finish.
-     * @param {EaseFunction} [options.easeFunction] - Overrides current ease function for this play call.
-     * @returns {number} - Eased progression from 0 to 1.
+     * Takes a free item, creating one if none is free and `maxSize` allows it, and enables it.
+     * @param {SceneObject} [parent] - Reparents the item; otherwise it stays under the pool root.
+     * @returns {T | null} The item, or null if the pool is exhausted.
      */
-    play({
-        cycleCallback = function(){},
-        callback = function(){},
-        easeFunction = null,
-    } = {}){
-        this[time] = MathUtils.clamp(this[time] + this[flow] * (this[isPausedSymbol] ? 0 : 1) * getDeltaTime(), 0, this.duration);
-        this[progressionSymbol] = MathUtils.clamp(this[time] / this.duration, 0, 1);
+    acquire(parent = null){
+        let item = this[poolFree].pop();
+        if (item === undefined) {
+            if (!this[poolFactory]) {
+                this[poolCounters].misses++;
+                print("Warning: ObjectPool has no free items and no factory");
+                return null;
+            }
+            if (this.stats.total >= this.maxSize) {
+                this[poolCounters].misses++;
+                print(`Warning: ObjectPool is exhausted at ${this.maxSize} items`);
+                return null;
+            }
+            item = createPooledItem(this);
+        }
 
-        const forwardComplete = this[progressionSymbol] === 1;
-        const reverseComplete = this[flow] < 0 && this[progressionSymbol] === 0;
+        const obj = pooledSceneObject(item);
+        if (parent) obj.setParent(parent);
+        obj.enabled = this[poolInitial].get(item).enabled;
 
-        if(forwardComplete || reverseComplete) {
-            if(this[cycle] < this[loopSymbol]) this[cycle] += 1;
+        this[poolActive].add(item);
+        this[poolCounters].peak = Math.max(this[poolCounters].peak, this[poolActive].size);
 
-            this[time] = this[loopSymbol] === 0 || this[cycle] >= this[loopSymbol]
-                ? (reverseComplete ? 0 : this.duration)
-                : (reverseComplete ? this.duration : 0);
+        return item;
+    }
 
+    /**
+     * Returns an item to the pool: disables it, moves it back under the pool root, restores its local transform
+     * and runs the `reset` hook.
+     * @param {T} item
+     */
+    release(item){
+        if (!this[poolActive].delete(item)) {
+            print("Warning: ObjectPool.release got an item that is not in use");
+            return;
+        }
 
-            // Callbacks
-            if (!this[cycleCallbackCalled] && this[loopSymbol] !== 1) {
-                this[cycleCallbackCalled] = true;
-                cycleCallback();
-            }
+        const obj = pooledSceneObject(item);
+        const initial = this[poolInitial].get(item);
+        const transform = obj.getTransform();
 
-            if (!this[animCallbackCalled] && this[cycle] >= this[loopSymbol]) {
-                this[animCallbackCalled] = true;
-                callback();
-            }
+        obj.enabled = false;
+        obj.setParent(this[poolRoot]);
+        transform.setLocalPosition(initial.position);
+        transform.setLocalRotation(initial.rotation);
+        transform.setLocalScale(initial.scale);
+        if (this.reset) this.reset(item);
 
-            if(this[cycle] < this[loopSymbol]) {
-                this[cycleCallbackCalled] = false;
-            }
-        }
+        this[poolFree].push(item);
+    }
 
-        let progress = this[progressionSymbol];
+    /**
+     * Releases every item in use.
+     */
+    releaseAll(){
+        [...this[poolActive]].forEach(item => this.release(item));
+    }
 
-        if(this.pingpong && this[cycle] % 2 !== 0){
-            progress = 1 - this[progressionSymbol];
-        }
+    /**
+     * Destroys every item, in use or free, and the pool root if the pool created it.
+     * Every root of a `buildScene` handle is destroyed, not only the first.
+     */
+    destroy(){
+        [...this[poolActive], ...this[poolFree]].forEach(item => {
+            const objects = item.roots ? item.roots : [pooledSceneObject(item)];
+            objects.forEach(obj => obj.destroy());
+        });
+        this[poolActive].clear();
+        this[poolFree] = [];
+        this[poolInitial].clear();
+        if (this[poolOwnsRoot]) this[poolRoot].destroy();
+    }
+}
+//#endregion
 
-        if(easeFunction) this.easeFunction = easeFunction; 
+//#region <SIGNAL>
+/** @private */ const signalListeners = Symbol("listeners");
+/** @private */ const signalBridge = Symbol("bridge");
+
+/**
+ * The token `Signal.add` and `Signal.once` return; pass it to `remove`.
+ * @typedef {Object} SignalRegistration
+ * @property {Function} listener - The listener.
+ * @property {number} priority - Higher priorities run first.
+ * @property {boolean} once - Whether the listener is removed after its first call.
+ * @property {boolean} active - False once removed.
+ */
+
+/**
+ * A list of listeners that can be fired with `emit`. It has the same `add`/`remove` shape as Lens Studio event
+ * wrappers such as `onTap`, so it can be passed as `skipOn`/`killOn` to `typewriter` and the text effects,
+ * and `emit` is bound, so it can be passed directly as a callback, e.g. to `SOGT.play`.
+ * @class
+ * @template {any[]} TArgs
+ */
+class Signal{
+    /**
+     * @constructor
+     *
+     * @example
+     * const onSkip = new Signal();
+     * QuickUtils.typewriter(myText, script, { skipOn: onSkip });
+     * button.onTap.add(onSkip.emit);
+     */
+    constructor(){
+        /** @type {SignalRegistration[]} */
+        this[signalListeners] = [];
+        /** @type {{ script: ScriptComponent, event: SceneEvent } | null} */
+        this[signalBridge] = null;
+
+        /**
+         * Calls every listener with the given arguments, highest priority first. Listeners removed during the
+         * emit are not called; listeners added during it run from the next emit. A listener that throws is
+         * logged and the others still run.
+         * @type {(...args: TArgs) => void}
+         */
+        this.emit = (...args) => {
+            for (const registration of this[signalListeners].slice()) {
+                if (!registration.active) continue;
+                if (registration.once) this.remove(registration);
 
-        return this.easeFunction(progress);
+                try {
+                    registration.listener(...args);
+                } catch (error) {
+                    print(`${error} on ${errorLocation(error)} in Signal listener`);
+                }
+            }
+        };
     }
 
     /**
-     * Toggles the paused state of the animation timer.
+     * Creates a signal that emits whenever a script event fires, passing the event data along.
+     * @param {ScriptComponent} script - The script that owns the event.
+     * @param {EventNameKeys} eventName - e.g. "TapEvent" or "UpdateEvent".
+     * @returns {Signal}
+     *
+     * @example
+     * const onTap = Signal.fromEvent(script, "TapEvent");
+     * onTap.once(() => print("First tap"));
      */
-    pauseResume() {
-        this[isPausedSymbol] = !this[isPausedSymbol];
+    static fromEvent(script, eventName){
+        const signal = new Signal();
+        const event = script.createEvent(eventName);
+        event.bind(signal.emit);
+        signal[signalBridge] = {script, event};
+        return signal;
     }
 
     /**
-     * Reset the timer to the initial state.
+     * The number of listeners.
+     * @readonly
+     * @type {number}
      */
-    reset() {
-        this[time] = 0;
-        this[flow] = 1;
-        this[cycle] = 0;
-        this[isPausedSymbol] = false;
+    get count(){
+        return this[signalListeners].length;
+    }
 
-        this[animCallbackCalled] = false;
-        this[cycleCallbackCalled] = false;
+    /**
+     * Adds a listener.
+     * @param {(...args: TArgs) => void} listener
+     * @param {number} [priority=0] - Higher priorities run first; equal priorities run in the order added.
+     * @returns {SignalRegistration} Pass it, or the listener, to `remove`.
+     */
+    add(listener, priority = 0){
+        return insertRegistration(this, {listener, priority, once: false, active: true});
     }
 
     /**
-     * Reverse the direction of the timer.
+     * Adds a listener that is removed after its first call.
+     * @param {(...args: TArgs) => void} listener
+     * @param {number} [priority=0] - Higher priorities run first.
+     * @returns {SignalRegistration}
      */
-    reverse(){
-        this[flow] = -this[flow];
-        this[isReversedSymbol] = this[flow] < 0;
+    once(listener, priority = 0){
+        return insertRegistration(this, {listener, priority, once: true, active: true});
+    }
 
-        this[animCallbackCalled] = false;
-        this[cycleCallbackCalled] = false;
+    /**
+     * Removes a listener. Safe to call during `emit`.
+     * @param {SignalRegistration | Function} registrationOrListener - What `add` returned, or the listener itself.
+     * @returns {boolean} True if a listener was removed.
+     */
+    remove(registrationOrListener){
+        const list = this[signalListeners];
+        const i = list.findIndex(r => r === registrationOrListener || r.listener === registrationOrListener);
+        if (i < 0) return false;
+
+        list[i].active = false;
+        list.splice(i, 1);
+        return true;
+    }
+
+    /**
+     * Whether a listener or registration is currently added.
+     * @param {SignalRegistration | Function} registrationOrListener
+     * @returns {boolean}
+     */
+    has(registrationOrListener){
+        return this[signalListeners].some(r => r === registrationOrListener || r.listener === registrationOrListener);
+    }
+
+    /**
+     * Removes every listener.
+     */
+    clear(){
+        this[signalListeners].forEach(r => r.active = false);
+        this[signalListeners] = [];
+    }
+
+    /**
+     * Removes every listener and, for signals made with `fromEvent`, the script event.
+     */
+    destroy(){
+        this.clear();
+        if (this[signalBridge]) {
+            this[signalBridge].script.removeEvent(this[signalBridge].event);
+            this[signalBridge] = null;
+        }
     }
 }
 
+/**
+ * Inserts a registration after every listener with the same or a higher priority.
+ * @private
+ * @param {Signal} signal
+ * @param {SignalRegistration} registration
+ * @returns {SignalRegistration}
+ */
+function insertRegistration(signal, registration) {
+    const list = signal[signalListeners];
+    const i = list.findIndex(r => r.priority < registration.priority);
+    list.splice(i < 0 ? list.length : i, 0, registration);
+    return registration;
+}
 //#endregion
 
 
@@ -958,25 +5432,79 @@ class SOGT{
 const BatchUtils = {
     writeAttributes,
     createSceneComponent,
+    buildScene,
     batchExecute,
+    batchExecuteAsync,
+    ObjectPool,
 }
 
 const QuickUtils = {
     delayedCall,
+    intervalCall,
+    frameDelayedCall,
+    repeatCall,
+    deepClone,
     deepCopyObject,
+    deepEqual,
+    diff,
+    applyPatch,
+    serialize,
+    deserialize,
+    Store,
+    Signal,
     flattenObjectHierarchy,
     convertHex,
     typewriter,
     singleCall,
+    createRandom,
+    splitGraphemes,
+    decode,
+    untype,
+    rollingNumber,
 }
 
 const CustomTween = {
     EasingFunctions,
-    SOGT
+    EasingFactories,
+    SOGT,
+    ValueTween,
+    Timeline,
+    TweenManager,
+    Spring,
+    interpolate,
+    tweenPosition,
+    tweenRotation,
+    tweenScale,
+    tweenMaterialParam,
+    tweenTextColor,
+}
+
+const ColorUtils = {
+    parseColor,
+    toHex,
+    rgbToHsl,
+    hslToRgb,
+    rgbToHsv,
+    hsvToRgb,
+    srgbToLinear,
+    linearToSrgb,
+    rgbToOklab,
+    oklabToRgb,
+    mixColors,
+    Gradient,
+}
+
+const HierarchyQuery = {
+    find,
+    findOne,
+    findByPath,
+    findComponents,
 }
 
 module.exports = {
     BatchUtils,
     QuickUtils,
     CustomTween,
+    ColorUtils,
+    HierarchyQuery,
 }